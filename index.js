@@ -3,7 +3,32 @@ const cors = require("cors");
 const multer = require("multer");
 const crypto = require("crypto");
 const os = require("os");
+const zlib = require("zlib");
 const { performance } = require("perf_hooks");
+const { WebSocketServer } = require("ws");
+const { round, summarizeLatency } = require("./lib/statistics");
+const loadedLatency = require("./lib/loadedLatency");
+const udpEcho = require("./lib/udpEcho");
+const clockSync = require("./lib/clockSync");
+const { createTestDataStream, normalizePattern, readPattern } = require("./lib/testDataStream");
+const { toMbps, trackUploadTiming, summarizeUploadTiming } = require("./lib/uploadTiming");
+const { consumeUpload } = require("./lib/uploadSink");
+const testSessions = require("./lib/testSessions");
+const { createResultStore, createResultId, parseDate } = require("./lib/resultStore");
+const { createSigner } = require("./lib/resultSigning");
+const multiStream = require("./lib/multiStreamDownload");
+const adaptiveDownload = require("./lib/adaptiveDownload");
+const downloadProgress = require("./lib/downloadProgress");
+const { TokenBucket, ShapedStream } = require("./lib/bandwidthShaper");
+const impairment = require("./lib/impairment");
+const { SEEDED_PATTERN, MAX_SEED_LENGTH, isValidSeed, PatternVerifier } = require("./lib/seededPattern");
+const compressionTest = require("./lib/compressionTest");
+const byteRanges = require("./lib/byteRanges");
+const metrics = require("./lib/metrics");
+const { loadConfig } = require("./lib/config");
+const serverDirectory = require("./lib/serverDirectory");
+const { createHealthChecker } = require("./lib/peerHealth");
+const { createRateLimiter } = require("./lib/rateLimiter");
 const app = express();
 
 // Process error handling
@@ -17,104 +42,302 @@ process.on("unhandledRejection", (reason, promise) => {
   process.exit(1);
 });
 
-// CORS configuration
+// Effective configuration: defaults, then config.json (or CONFIG_FILE), then environment
+let loadedConfig;
+try {
+  loadedConfig = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const { config, sources: configSources } = loadedConfig;
+
+// Behind a load balancer, req.ip must come from X-Forwarded-For
+if (config.trustProxy > 0) {
+  app.set("trust proxy", config.trustProxy);
+}
+
+// Request metrics (first, so every request is counted)
+app.use(metrics.instrumentRequests);
+
+// CORS configuration. A wildcard allows any origin but never with
+// credentials; cookies and auth headers are only shared with listed origins.
+const ANY_ORIGIN = config.cors.origins.includes("*");
 app.use(
   cors({
-    origin: [
-      "http://localhost:3000",
-      "https://splendid-brioche-ee2e1c.netlify.app",
-      "https://zemoz.fun",
-      "https://speedtestoffical.netlify.app",
-      'https://zemoz.fun/'
-    ],
+    origin: ANY_ORIGIN ? "*" : config.cors.origins,
     methods: ["GET", "POST"],
-    credentials: true,
+    credentials: !ANY_ORIGIN,
   })
 );
 
+// Per-client limits on endpoints that move test data. Applied before the body
+// parsers so a refused upload is never read. Patterns match the way Express
+// routes do: case-insensitive and with an optional trailing slash.
+const RATE_LIMITED_ROUTES = [
+  { method: "GET", path: /^\/api\/download\/[^/]+\/?$/i },
+  { method: "GET", path: /^\/api\/download-stream\/?$/i },
+  { method: "GET", path: /^\/api\/download-multi\/[^/]+\/stream\/[^/]+\/?$/i },
+  { method: "GET", path: /^\/api\/download-adaptive\/?$/i },
+  { method: "GET", path: /^\/api\/compression-test\/[^/]+\/[^/]+\/?$/i },
+  { method: "POST", path: /^\/api\/upload(-stream|-multi)?\/?$/i },
+];
+const rateLimiter = createRateLimiter({
+  limits: {
+    testsPerMinute: config.rateLimits.testsPerMinute,
+    concurrentStreams: config.rateLimits.concurrentStreams,
+    mbPerHour: config.rateLimits.mbPerHour,
+  },
+  tokens: config.rateLimits.tokens,
+});
+app.use((req, res, next) => {
+  const limited = RATE_LIMITED_ROUTES.some((route) => route.method === req.method && route.path.test(req.path));
+  if (!limited) return next();
+  rateLimiter.limit(req, res, next);
+});
+
+// Server-side upload timing (must see the request stream before the body parsers).
+// Upload routes only: the tap puts the body into flowing mode, so only
+// synchronous middleware may run between it and the route that reads the body.
+const UPLOAD_PATHS = ["/api/upload", "/api/upload-stream", "/api/upload-multi"];
+
+// Upload bytes are counted from the timing tap when the request closes, so
+// uploads that are aborted or rejected still show up in the metrics
+const countUploadBytes = (req, res, next) => {
+  if (req.uploadTiming) {
+    res.once("close", () => metrics.recordTransferBytes(req, "upload", req.uploadTiming.bytes));
+  }
+  next();
+};
+app.use(UPLOAD_PATHS, trackUploadTiming, countUploadBytes);
+
+// Routes that read the request body as a stream themselves. Matched the way
+// Express matches routes, so no path the route accepts reaches a buffering parser.
+const STREAMING_UPLOAD_PATH = /^\/api\/upload-stream\/?$/i;
+const unlessStreamingUpload = (parser) => (req, res, next) => {
+  if (STREAMING_UPLOAD_PATH.test(req.path)) return next();
+  parser(req, res, next);
+};
+
 // Middleware with proper limits
-app.use(express.json({ limit: "10mb" }));
-app.use(express.raw({ limit: "10mb", type: "application/octet-stream" }));
+const MAX_UPLOAD_BYTES = Math.round(config.limits.maxUploadSize * 1024 * 1024); // Buffered uploads only
+app.use(unlessStreamingUpload(express.json({ limit: MAX_UPLOAD_BYTES })));
+app.use(unlessStreamingUpload(express.raw({ limit: MAX_UPLOAD_BYTES, type: "application/octet-stream" })));
 
 // Configure multer with strict limits
 const upload = multer({
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB max
+    fileSize: MAX_UPLOAD_BYTES,
     files: 1,
   },
   storage: multer.memoryStorage(),
 });
 
 // Server configuration
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
+const UDP_PORT = config.udpPort;
+const MIN_DOWNLOAD_SIZE = config.limits.minDownloadSize; // MB
+const MAX_DOWNLOAD_SIZE = config.limits.maxDownloadSize; // MB, streamed so memory use stays flat
+const MAX_DOWNLOAD_DURATION = config.limits.maxDownloadDuration; // seconds
+const MAX_UPLOAD_DURATION = config.limits.maxUploadDuration; // seconds
+const MAX_COMPRESSION_TEST_SIZE = config.limits.maxCompressionTestSize; // MB per leg; body digests are computed up front
+const MIN_TARGET_RATE = 0.01; // Mbps, for shaped downloads
+const MAX_TARGET_RATE = 10000; // Mbps
+const UPLOAD_DRAIN_GRACE = config.timeouts.uploadDrainGrace; // ms to discard a body after a duration-bounded upload ends
+const RESULTS_BACKEND = config.results.backend; // jsonl, sqlite or none
+const RESULTS_PATH = config.results.path || undefined; // Defaults to data/results.<ext>
+const RESULT_KEY_PATH = config.results.keyPath; // Used when RESULT_SIGNING_SECRET is unset
+const MAX_RESULTS_OFFSET = 10000; // History pages deeper than this are not served
 const SERVER_INFO = {
-  name: "Speed Test Server",
-  location: "Local",
+  name: config.server.name,
+  location: config.server.location,
+  region: config.server.region,
+  coordinates:
+    config.server.latitude !== null && config.server.longitude !== null
+      ? { latitude: config.server.latitude, longitude: config.server.longitude }
+      : null,
+  sponsor: config.server.sponsor ? { name: config.server.sponsor, url: config.server.sponsorUrl } : null,
   host: os.hostname(),
   platform: os.platform(),
   arch: os.arch(),
   cores: os.cpus().length,
   memory: Math.round(os.totalmem() / 1024 / 1024 / 1024) + "GB",
 };
+const MAX_SELECTED_SERVERS = 20;
+
+// This server and its configured peers
+const directory = serverDirectory.createDirectory({
+  self: {
+    id: config.server.id,
+    name: config.server.name,
+    region: config.server.region,
+    latitude: config.server.latitude,
+    longitude: config.server.longitude,
+    url: config.server.url,
+  },
+  peers: config.servers,
+});
+
+// Peers are polled in the background so selection can skip dead ones
+const peerHealth = createHealthChecker({
+  peers: config.servers,
+  interval: config.healthCheck.interval,
+  timeout: config.healthCheck.timeout,
+  failureThreshold: config.healthCheck.failureThreshold,
+});
+
+// High-resolution timestamp
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
 
-// Optimized test data cache
-const testDataCache = new Map();
-const MAX_CACHE_SIZE = 50 * 1024 * 1024; // 50MB total cache
-let currentCacheSize = 0;
+// Resolve the test session a request belongs to, if it names one
+app.use((req, res, next) => {
+  const sessionId = req.query.testSession || req.headers["x-test-session"];
+  if (!sessionId) return next();
 
-// Generate test data with size limits and better caching
-const generateTestData = (sizeInMB, pattern = "random") => {
-  // Enforce maximum size limit
-  const maxSize = 10;
-  const actualSize = Math.min(sizeInMB, maxSize);
-  const key = `${actualSize}mb_${pattern}`;
+  const session = testSessions.getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: "Test session not found", sessionId });
+  }
 
-  if (!testDataCache.has(key)) {
-    const sizeInBytes = actualSize * 1024 * 1024;
-    
-    // Check cache size limit
-    if (currentCacheSize + sizeInBytes > MAX_CACHE_SIZE) {
-      // Clear cache if it's getting too large
-      testDataCache.clear();
-      currentCacheSize = 0;
+  if (!testSessions.isActive(session)) {
+    return res.status(409).json({ error: "Test session already finished", sessionId });
+  }
+
+  req.testSession = session;
+  req.testConnectionId = req.headers["x-connection-id"] || req.query.connection || null;
+  next();
+});
+
+// Impairment emulation, chosen per request (?impairment=latency:50,jitter:10,seed:7)
+// or per session (?impairmentSession=<id>). Latency and jitter delay GET
+// requests before they are handled; stalls, drops and rate caps apply to
+// streamed download bodies.
+app.use((req, res, next) => {
+  const sessionId = req.query.impairmentSession || req.headers["x-impairment-session"];
+  const spec = req.query.impairment || req.headers["x-impairment"];
+  if (!sessionId && !spec) return next();
+
+  if (sessionId) {
+    const session = impairment.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Impairment session not found", sessionId });
     }
-    
-    let buffer;
-    switch (pattern) {
-      case "random":
-        buffer = crypto.randomBytes(sizeInBytes);
-        break;
-      case "compressible":
-        buffer = Buffer.alloc(sizeInBytes, 0x41);
-        break;
-      case "incompressible":
-        buffer = Buffer.alloc(sizeInBytes);
-        for (let i = 0; i < sizeInBytes; i++) {
-          buffer[i] = (i * 137 + 19) % 256;
-        }
-        break;
-      default:
-        buffer = crypto.randomBytes(sizeInBytes);
+    session.requests++;
+    req.impairment = session.impairment;
+  } else {
+    const parsed = impairment.parseProfile(spec);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
-
-    testDataCache.set(key, buffer);
-    currentCacheSize += sizeInBytes;
+    req.impairment = impairment.createImpairment(parsed.profile);
   }
 
-  return testDataCache.get(key);
-};
+  res.setHeader("X-Impairment", impairment.describeProfile(req.impairment.profile));
+
+  // Requests with bodies are not held back: the upload timing tap is already reading them
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
 
-// Pre-generate smaller test data sizes only
-const commonSizes = [0.1, 0.5, 1, 2, 5]; // Removed larger sizes
-commonSizes.forEach((size) => {
-  generateTestData(size, "random");
+  const delay = req.impairment.sampleDelay();
+  res.setHeader("X-Impairment-Delay", round(delay).toString());
+  if (delay === 0) return next();
+
+  const timer = setTimeout(next, delay);
+  res.on("close", () => clearTimeout(timer));
 });
 
-// High-resolution timestamp
-const getHighResolutionTime = () => {
-  return performance.now() + performance.timeOrigin;
+// Persistent result history
+const resultStore = createResultStore({ backend: RESULTS_BACKEND, filePath: RESULTS_PATH });
+const resultSigner = createSigner({
+  secret: process.env.RESULT_SIGNING_SECRET,
+  keyPath: RESULT_KEY_PATH,
+});
+
+// Client details stored alongside each result
+const describeClient = (req) => ({
+  ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+  userAgent: req.headers["user-agent"] || null,
+  testSessionId: req.testSession ? req.testSession.id : null,
+});
+
+// Persist a completed test; failures are logged and never affect the response
+const saveResult = (type, source, client, stats) => {
+  const now = Date.now();
+  const record = {
+    id: createResultId(),
+    type,
+    source,
+    createdAt: now,
+    recordedAt: new Date(now).toISOString(),
+    client,
+    stats,
+  };
+  record.signature = resultSigner.sign(record);
+
+  resultStore.insert(record, (error) => {
+    if (error) console.error("Failed to save result:", error);
+  });
+  return record;
+};
+
+// Stored results as the public history routes show them. Client details
+// (IP address, user agent, test session) are kept for operators only.
+const publicResult = ({ client, ...record }) => record;
+
+// What a client needs to share a stored result
+const shareableResult = (record) =>
+  record ? { id: record.id, signature: record.signature, url: `/api/share/${record.id}` } : null;
+
+// Record measurements against the request's test session, if any
+const recordSessionLatency = (req, source, samples) => {
+  if (req.testSession) {
+    testSessions.recordLatency(req.testSession, source, samples);
+  }
+};
+
+// Record a transfer in the request's test session and persist it if it completed
+const recordTransfer = (req, phase, entry) => {
+  const source = req.route ? req.route.path : req.path;
+  // Upload bytes are counted by countUploadBytes, aborted ones included
+  if (phase === "download") metrics.recordTransferBytes(req, phase, entry.bytes);
+
+  if (phase === "download" && req.downloadProgress) {
+    const { session, download } = req.downloadProgress;
+    downloadProgress.endDownload(session, download, { now: entry.endTime, completed: entry.completed });
+  }
+
+  if (req.testSession) {
+    testSessions.recordTransfer(req.testSession, phase, {
+      source,
+      connectionId: req.testConnectionId,
+      ...entry,
+    });
+  }
+
+  if (!entry.completed) return null;
+
+  const duration = entry.endTime - entry.startTime;
+  return saveResult(phase, source, describeClient(req), {
+    bytes: entry.bytes,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    duration: round(duration),
+    speedMbps: typeof entry.speedMbps === "number" ? entry.speedMbps : round(toMbps(entry.bytes, duration)),
+    connectionId: req.testConnectionId || null,
+  });
 };
 
+// Uploads are timed by the server-observed first/last byte window when available
+const recordUpload = (req, bytes, serverMeasured, fallbackStart, fallbackEnd) =>
+  recordTransfer(req, "upload", {
+    bytes,
+    startTime: serverMeasured ? serverMeasured.firstByteTime : fallbackStart,
+    endTime: serverMeasured ? serverMeasured.lastByteTime : fallbackEnd,
+    speedMbps: serverMeasured ? serverMeasured.speedMbps : null,
+    completed: true,
+  });
+
 // Fixed ping endpoint
 // app.get("/api/ping", (req, res) => {
 //   const serverReceiveTime = getHighResolutionTime();
@@ -136,234 +359,469 @@ const getHighResolutionTime = () => {
 //     server: SERVER_INFO.name,
 //   });
 // });
+// One-way latency fields for ping responses. Without a clock-sync session the
+// raw value is only meaningful if both clocks agree; with one it is offset-corrected.
+const buildOneWayLatency = (req, sequence, clientSendTime, serverReceiveTime, serverSendTime) => {
+  const syncSession = clockSync.getSession(req.query.sync);
+  let rawOneWayLatency = null;
+  if (clientSendTime && !isNaN(clientSendTime)) {
+    rawOneWayLatency = serverReceiveTime - clientSendTime;
+  }
+
+  const delays = clockSync.oneWayDelays(syncSession, {
+    clientSendTime,
+    serverReceiveTime,
+    prevSeq: parseInt(req.query.prevSeq),
+    prevReceiveTime: parseFloat(req.query.prevRecv),
+  });
+  if (syncSession) {
+    clockSync.rememberPing(syncSession, sequence, serverSendTime);
+  }
+
+  const raw = rawOneWayLatency ? parseFloat(rawOneWayLatency.toFixed(3)) : null;
+  return {
+    oneWayLatency: delays && delays.upstream !== null ? delays.upstream : raw,
+    rawOneWayLatency: raw,
+    upstreamLatency: delays ? delays.upstream : null,
+    downstreamLatency: delays ? delays.downstream : null,
+    clockOffset: delays ? delays.offset : null,
+    clockDriftPpm: delays ? delays.driftPpm : null,
+    clockSynchronized: delays !== null,
+  };
+};
+
+// Start a clock-sync session
+app.post("/api/clock-sync/session", (req, res) => {
+  const session = clockSync.createSession(getHighResolutionTime());
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    server: SERVER_INFO.name,
+  });
+});
+
+// Clock-sync probe: returns t1 (server receive) and t2 (server send) for the client's t0
+app.get("/api/clock-sync/probe", (req, res) => {
+  const t1 = getHighResolutionTime();
+  const session = clockSync.getSession(req.query.session);
+  const seq = parseInt(req.query.seq);
+  const t0 = parseFloat(req.query.t0);
+
+  if (!session) {
+    return res.status(404).json({ error: "Clock-sync session not found" });
+  }
+
+  if (isNaN(seq) || seq < 0 || isNaN(t0)) {
+    return res.status(400).json({ error: "Probe requires numeric seq and t0" });
+  }
+
+  const t2 = getHighResolutionTime();
+  if (!clockSync.recordProbe(session, seq, t0, t1, t2)) {
+    return res.status(409).json({ error: "Too many outstanding probes for this session" });
+  }
+
+  res.json({ seq, t0, t1, t2 });
+});
+
+// Client reports t3 for its probes; returns the offset and drift estimate
+app.post("/api/clock-sync/:id/complete", (req, res) => {
+  const session = clockSync.getSession(req.params.id);
+  const samples = req.body && req.body.samples;
+
+  if (!session) {
+    return res.status(404).json({ error: "Clock-sync session not found" });
+  }
+
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return res.status(400).json({ error: "Expected a non-empty samples array of { seq, t3 }" });
+  }
+
+  const accepted = clockSync.completeProbes(session, samples);
+
+  res.json({
+    success: true,
+    accepted,
+    rejected: samples.length - accepted,
+    ...clockSync.describe(session),
+    server: SERVER_INFO.name,
+  });
+});
+
+// Current offset and drift estimate for a clock-sync session
+app.get("/api/clock-sync/:id", (req, res) => {
+  const session = clockSync.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Clock-sync session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...clockSync.describe(session),
+    server: SERVER_INFO.name,
+  });
+});
+
+// Impairment sessions: one profile and one seeded generator shared by every
+// request that names the session
+app.post("/api/impairment/session", (req, res) => {
+  const parsed = impairment.parseProfile(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const session = impairment.createSession(parsed.profile, getHighResolutionTime());
+  res.json({
+    success: true,
+    sessionId: session.id,
+    profile: session.impairment.profile,
+    distributions: impairment.DISTRIBUTIONS,
+    server: SERVER_INFO.name,
+  });
+});
+
+app.get("/api/impairment/session/:id", (req, res) => {
+  const session = impairment.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Impairment session not found" });
+  }
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    profile: session.impairment.profile,
+    requests: session.requests,
+    server: SERVER_INFO.name,
+  });
+});
+
 // Fixed ping endpoint with proper timestamp handling
 app.get("/api/ping", (req, res) => {
   const serverReceiveTime = getHighResolutionTime();
   const clientSendTime = parseFloat(req.query.t);
   const sequence = parseInt(req.query.seq) || 0;
 
-  // Add small processing delay to simulate real conditions
-  const processingDelay = Math.random() * 2; // 0-2ms
-  
-  setTimeout(() => {
-    const serverSendTime = getHighResolutionTime();
-    
-    // Calculate server processing time
-    const serverProcessingTime = serverSendTime - serverReceiveTime;
-    
-    // Calculate one-way latency if client sent timestamp
-    let oneWayLatency = null;
-    if (clientSendTime && !isNaN(clientSendTime)) {
-      oneWayLatency = serverReceiveTime - clientSendTime;
-    }
+  // Simulated delays come from the impairment layer, not from here
+  const serverSendTime = getHighResolutionTime();
 
-    res.json({
-      sequence,
-      clientSendTime: clientSendTime || null,
-      serverReceiveTime,
-      serverSendTime,
-      serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3)),
-      oneWayLatency: oneWayLatency ? parseFloat(oneWayLatency.toFixed(3)) : null,
-      server: SERVER_INFO.name,
-    });
-  }, processingDelay);
+  // Calculate server processing time
+  const serverProcessingTime = serverSendTime - serverReceiveTime;
+  const oneWay = buildOneWayLatency(req, sequence, clientSendTime, serverReceiveTime, serverSendTime);
+
+  // Only offset-corrected one-way delays are worth keeping in a session
+  if (oneWay.clockSynchronized) {
+    recordSessionLatency(req, "ping", { oneWay: [oneWay.upstreamLatency] });
+  }
+
+  res.json({
+    sequence,
+    clientSendTime: clientSendTime || null,
+    serverReceiveTime,
+    serverSendTime,
+    serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3)),
+    ...oneWay,
+    server: SERVER_INFO.name,
+  });
 });
 
-// Fixed jitter endpoint that works with your frontend
-app.get("/api/jitter", (req, res) => {
-  const count = Math.min(parseInt(req.query.count) || 10, 50);
-  const interval = Math.max(parseInt(req.query.interval) || 50, 10);
-  
-  const measurements = [];
-  let completed = 0;
-  const testStartTime = getHighResolutionTime();
+// Jitter probe sessions: the server issues probes over SSE and the client
+// echoes each one back, so every RTT is a round trip the server observed
+const jitterSessions = new Map();
+const JITTER_SESSION_TTL = 60000; // Keep finished sessions for 1 minute
 
-  const performPing = (index) => {
-    const pingStart = getHighResolutionTime();
-    
-    // Add realistic processing delay (1-10ms)
-    const processingDelay = Math.random() * 9 + 1;
-    
-    setTimeout(() => {
-      const pingEnd = getHighResolutionTime();
-      const serverProcessingTime = pingEnd - pingStart;
-      const timeSinceStart = pingStart - testStartTime;
-
-      // For jitter test, we simulate round trip time
-      // In real implementation, this would be measured by the client
-      const simulatedRoundTripTime = serverProcessingTime + (Math.random() * 20 + 10); // 10-30ms base + processing
-
-      measurements.push({
-        index,
-        timestamp: pingStart,
-        timeSinceStart: parseFloat(timeSinceStart.toFixed(3)),
-        roundTripTime: parseFloat(simulatedRoundTripTime.toFixed(3)),
-        serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3))
-      });
+// Build the jitter statistics block from observed measurements
+const buildJitterStatistics = (measurements, targetInterval) => {
+  const intervals = [];
 
-      completed++;
-
-      if (completed >= count) {
-        // Calculate comprehensive jitter statistics
-        const rtts = measurements.map(m => m.roundTripTime);
-        const intervals = [];
-        
-        // Calculate intervals between consecutive measurements
-        for (let i = 1; i < measurements.length; i++) {
-          const interval = measurements[i].timeSinceStart - measurements[i-1].timeSinceStart;
-          intervals.push(interval);
-        }
-        
-        // RTT statistics
-        const avgRtt = rtts.reduce((a, b) => a + b, 0) / rtts.length;
-        const minRtt = Math.min(...rtts);
-        const maxRtt = Math.max(...rtts);
-        const rttRange = maxRtt - minRtt;
-        
-        // RTT standard deviation (proper jitter calculation)
-        const rttVariance = rtts.reduce((sum, rtt) => sum + Math.pow(rtt - avgRtt, 2), 0) / rtts.length;
-        const rttStdDev = Math.sqrt(rttVariance);
-        
-        // Interval statistics (timing consistency)
-        const avgInterval = intervals.length > 0 ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 0;
-        const intervalRange = intervals.length > 0 ? Math.max(...intervals) - Math.min(...intervals) : 0;
-        const intervalVariance = intervals.length > 0 ? 
-          intervals.reduce((sum, interval) => sum + Math.pow(interval - avgInterval, 2), 0) / intervals.length : 0;
-        const intervalStdDev = Math.sqrt(intervalVariance);
-
-        res.json({
-          success: true,
-          measurements,
-          statistics: {
-            count: completed,
-            testDuration: parseFloat(measurements[measurements.length - 1].timeSinceStart.toFixed(3)),
-            rtt: {
-              average: parseFloat(avgRtt.toFixed(3)),
-              minimum: parseFloat(minRtt.toFixed(3)),
-              maximum: parseFloat(maxRtt.toFixed(3)),
-              range: parseFloat(rttRange.toFixed(3)),
-              standardDeviation: parseFloat(rttStdDev.toFixed(3)),
-              jitter: parseFloat(rttStdDev.toFixed(3)) // Standard deviation is the proper jitter metric
-            },
-            timing: {
-              targetInterval: interval,
-              actualAvgInterval: parseFloat(avgInterval.toFixed(3)),
-              intervalRange: parseFloat(intervalRange.toFixed(3)),
-              intervalStdDev: parseFloat(intervalStdDev.toFixed(3)),
-              timingConsistency: parseFloat((100 - (intervalStdDev / avgInterval * 100)).toFixed(2))
-            }
-          },
-          server: SERVER_INFO.name,
-        });
-      } else {
-        // Schedule next ping
-        setTimeout(() => performPing(index + 1), interval);
-      }
-    }, processingDelay);
+  // Calculate intervals between consecutive measurements
+  for (let i = 1; i < measurements.length; i++) {
+    intervals.push(measurements[i].timeSinceStart - measurements[i-1].timeSinceStart);
+  }
+
+  // Interval statistics (timing consistency)
+  const intervalStats = summarizeLatency(intervals);
+  const avgInterval = intervalStats.average || 0;
+  const intervalStdDev = intervalStats.standardDeviation || 0;
+
+  return {
+    count: measurements.length,
+    testDuration: measurements.length > 0 ? round(measurements[measurements.length - 1].timeSinceStart) : 0,
+    rtt: summarizeLatency(measurements.map(m => m.roundTripTime)),
+    timing: {
+      targetInterval,
+      actualAvgInterval: avgInterval,
+      intervalRange: intervalStats.range || 0,
+      intervalStdDev,
+      timingConsistency: avgInterval > 0 ? round(100 - (intervalStdDev / avgInterval * 100), 2) : 100
+    }
   };
+};
 
-  // Start first ping
-  performPing(0);
-});
+// Jitter statistics plus probe delivery counts for echo-based measurements
+const buildProbeStatistics = (measurements, targetInterval, sent, lost) => {
+  const statistics = buildJitterStatistics(measurements, targetInterval);
+  statistics.probes = {
+    sent,
+    received: measurements.length,
+    lost,
+    lossPercent: sent > 0 ? parseFloat(((lost / sent) * 100).toFixed(2)) : 0
+  };
+  return statistics;
+};
+
+// Complete a jitter session and deliver the result to everyone waiting on it
+const finishJitterSession = (session) => {
+  if (session.result) return;
 
-// Alternative: Better jitter endpoint that measures actual network round trip
-app.get("/api/jitter-realtime", (req, res) => {
+  clearTimeout(session.nextProbeTimer);
+  session.pending.forEach((probe) => clearTimeout(probe.timer));
+  session.pending.clear();
+
+  const measurements = session.measurements.sort((a, b) => a.index - b.index);
+
+  session.result = {
+    success: true,
+    sessionId: session.id,
+    measurements,
+    statistics: buildProbeStatistics(measurements, session.interval, session.sent, session.lost),
+    server: SERVER_INFO.name,
+  };
+
+  if (session.testSession) {
+    testSessions.recordLatency(session.testSession, "jitter", {
+      rtt: measurements.map(m => m.roundTripTime)
+    });
+  }
+  if (measurements.length > 0) {
+    const stored = saveResult("jitter", "/api/jitter-probe", session.client, session.result.statistics);
+    session.result.share = shareableResult(stored);
+  }
+
+  if (session.stream && !session.stream.destroyed) {
+    session.stream.write(`data: ${JSON.stringify({
+      type: 'complete',
+      data: session.result
+    })}\n\n`);
+    session.stream.end();
+  }
+
+  session.waiters.forEach((res) => {
+    if (!res.headersSent) res.json(session.result);
+  });
+  session.waiters = [];
+
+  setTimeout(() => jitterSessions.delete(session.id), JITTER_SESSION_TTL).unref();
+};
+
+// Mark the session finished once every probe has been echoed or timed out
+const checkJitterSessionDone = (session) => {
+  if (session.sent >= session.count && session.pending.size === 0) {
+    finishJitterSession(session);
+  }
+};
+
+// Server-issued jitter probes streamed over SSE
+const streamJitterProbes = (req, res) => {
   const count = Math.min(parseInt(req.query.count) || 10, 50);
   const interval = Math.max(parseInt(req.query.interval) || 50, 10);
-  
-  // Set up Server-Sent Events for real-time streaming
+  const timeout = Math.min(Math.max(parseInt(req.query.timeout) || 2000, 100), 10000);
+
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Connection': 'keep-alive'
   });
 
-  const measurements = [];
-  let completed = 0;
-  const testStartTime = getHighResolutionTime();
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    count,
+    interval,
+    timeout,
+    startTime: getHighResolutionTime(),
+    sent: 0,
+    lost: 0,
+    pending: new Map(),
+    measurements: [],
+    waiters: [],
+    stream: res,
+    nextProbeTimer: null,
+    result: null,
+    testSession: req.testSession || null,
+    client: describeClient(req),
+  };
+  jitterSessions.set(session.id, session);
+  metrics.trackStream("sse", res);
 
-  const performPing = (index) => {
-    const pingStart = getHighResolutionTime();
-    const processingDelay = Math.random() * 5 + 2; // 2-7ms realistic server processing
-    
-    setTimeout(() => {
-      const pingEnd = getHighResolutionTime();
-      const serverProcessingTime = pingEnd - pingStart;
-      const timeSinceStart = pingStart - testStartTime;
-      
-      // Simulate realistic round trip time
-      const baseLatency = Math.random() * 20 + 15; // 15-35ms base
-      const roundTripTime = serverProcessingTime + baseLatency;
+  res.write(`data: ${JSON.stringify({
+    type: 'session',
+    sessionId: session.id,
+    count,
+    interval,
+    timeout
+  })}\n\n`);
 
-      const measurement = {
-        index,
-        timestamp: pingStart,
-        timeSinceStart: parseFloat(timeSinceStart.toFixed(3)),
-        roundTripTime: parseFloat(roundTripTime.toFixed(3)),
-        serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3))
-      };
+  const sendProbe = () => {
+    if (session.result || res.destroyed) return;
 
-      measurements.push(measurement);
+    const seq = session.sent;
+    const serverSendTime = getHighResolutionTime();
 
-      // Send real-time update
-      res.write(`data: ${JSON.stringify({
-        type: 'measurement',
-        data: measurement,
-        progress: ((index + 1) / count) * 100
-      })}\n\n`);
-
-      completed++;
-
-      if (completed >= count) {
-        // Calculate final statistics
-        const rtts = measurements.map(m => m.roundTripTime);
-        const avgRtt = rtts.reduce((a, b) => a + b, 0) / rtts.length;
-        const minRtt = Math.min(...rtts);
-        const maxRtt = Math.max(...rtts);
-        const rttVariance = rtts.reduce((sum, rtt) => sum + Math.pow(rtt - avgRtt, 2), 0) / rtts.length;
-        const rttStdDev = Math.sqrt(rttVariance);
-
-        const finalResult = {
-          success: true,
-          measurements,
-          statistics: {
-            count: completed,
-            testDuration: parseFloat(measurements[measurements.length - 1].timeSinceStart.toFixed(3)),
-            rtt: {
-              average: parseFloat(avgRtt.toFixed(3)),
-              minimum: parseFloat(minRtt.toFixed(3)),
-              maximum: parseFloat(maxRtt.toFixed(3)),
-              range: parseFloat((maxRtt - minRtt).toFixed(3)),
-              standardDeviation: parseFloat(rttStdDev.toFixed(3)),
-              jitter: parseFloat(rttStdDev.toFixed(3))
-            }
-          },
-          server: SERVER_INFO.name,
-        };
-
-        // Send final result
-        res.write(`data: ${JSON.stringify({
-          type: 'complete',
-          data: finalResult
-        })}\n\n`);
-        
-        res.end();
-      } else {
-        // Schedule next ping
-        setTimeout(() => performPing(index + 1), interval);
-      }
-    }, processingDelay);
+    // Probes that are never echoed count as lost
+    const timer = setTimeout(() => {
+      session.pending.delete(seq);
+      session.lost++;
+      checkJitterSessionDone(session);
+    }, timeout);
+
+    session.pending.set(seq, { serverSendTime, timer });
+    session.sent++;
+
+    res.write(`data: ${JSON.stringify({
+      type: 'probe',
+      sessionId: session.id,
+      seq,
+      serverSendTime
+    })}\n\n`);
+
+    if (session.sent < count) {
+      session.nextProbeTimer = setTimeout(sendProbe, interval);
+    }
   };
 
-  // Start first ping
-  performPing(0);
+  // Stop issuing probes if the client goes away
+  res.on("close", () => {
+    session.stream = null;
+    finishJitterSession(session);
+  });
+
+  sendProbe();
+};
+
+app.get("/api/jitter-probe", streamJitterProbes);
+
+// Client echo for a server-issued jitter probe
+app.get("/api/jitter-echo", (req, res) => {
+  const echoReceiveTime = getHighResolutionTime();
+  const session = jitterSessions.get(req.query.session);
+  const seq = parseInt(req.query.seq);
+
+  if (!session) {
+    return res.status(404).json({ error: "Jitter session not found" });
+  }
+
+  if (isNaN(seq) || seq < 0 || seq >= session.count) {
+    return res.status(400).json({ error: "Invalid probe sequence number" });
+  }
+
+  const probe = session.pending.get(seq);
+  if (!probe) {
+    return res.status(409).json({
+      error: "Probe already echoed, timed out or not yet sent",
+      seq
+    });
+  }
+
+  clearTimeout(probe.timer);
+  session.pending.delete(seq);
+
+  const roundTripTime = echoReceiveTime - probe.serverSendTime;
+  const measurement = {
+    index: seq,
+    timestamp: probe.serverSendTime,
+    timeSinceStart: parseFloat((probe.serverSendTime - session.startTime).toFixed(3)),
+    roundTripTime: parseFloat(roundTripTime.toFixed(3)),
+    serverProcessingTime: parseFloat((getHighResolutionTime() - echoReceiveTime).toFixed(3))
+  };
+  session.measurements.push(measurement);
+
+  if (session.stream && !session.stream.destroyed) {
+    session.stream.write(`data: ${JSON.stringify({
+      type: 'measurement',
+      data: measurement,
+      progress: ((session.measurements.length + session.lost) / session.count) * 100
+    })}\n\n`);
+  }
+
+  res.json({
+    success: true,
+    seq,
+    roundTripTime: measurement.roundTripTime,
+    server: SERVER_INFO.name,
+  });
+
+  checkJitterSessionDone(session);
+});
+
+// Jitter results computed from real, server-observed round trips
+app.get("/api/jitter", (req, res) => {
+  const sessionId = req.query.session;
+
+  // Existing clients call this without a session; answer in the usual shape
+  // with no measurements rather than failing the request
+  if (!sessionId) {
+    return res.json({
+      success: false,
+      error: "A probe session is required. Start one with /api/jitter-probe and pass ?session=",
+      measurements: [],
+      statistics: buildProbeStatistics([], Math.max(parseInt(req.query.interval) || 50, 10), 0, 0),
+      server: SERVER_INFO.name,
+    });
+  }
+
+  const session = jitterSessions.get(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: "Jitter session not found" });
+  }
+
+  if (session.result) {
+    return res.json(session.result);
+  }
+
+  // Hold the request open until the session finishes
+  session.waiters.push(res);
+  res.on("close", () => {
+    session.waiters = session.waiters.filter((waiter) => waiter !== res);
+  });
 });
+
+// Older streaming jitter route, now served by the same echoed probes as
+// /api/jitter-probe rather than simulated round trips
+app.get("/api/jitter-realtime", streamJitterProbes);
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  metrics.render((error, text) => {
+    if (error) {
+      console.error("Metrics error:", error);
+      return res.status(500).json({ error: "Failed to collect metrics" });
+    }
+    res.setHeader("Content-Type", metrics.contentType);
+    res.send(text);
+  });
+});
+
 // Server info endpoint
 app.get("/api/info", (req, res) => {
   res.json({
     server: SERVER_INFO,
+    // Only what clients need to plan a test; new config fields stay private until listed here
+    config: {
+      udpPort: config.udpPort,
+      limits: config.limits,
+      rateLimits: {
+        testsPerMinute: config.rateLimits.testsPerMinute,
+        concurrentStreams: config.rateLimits.concurrentStreams,
+        mbPerHour: config.rateLimits.mbPerHour,
+      },
+      results: { backend: config.results.backend },
+    },
+    load: {
+      loadAverage: round(os.loadavg()[0], 2),
+      cores: SERVER_INFO.cores,
+      activeStreams: metrics.activeStreamCount(),
+    },
     timestamp: getHighResolutionTime(),
     uptime: process.uptime(),
     memory: {
@@ -374,34 +832,97 @@ app.get("/api/info", (req, res) => {
   });
 });
 
+// Without a configured public URL, this server is wherever the client reached it.
+// Each entry carries its latest health status; this server is healthy by definition.
+const directoryServers = (req) =>
+  directory.servers.map((server) => {
+    const health = server.self ? { status: "healthy" } : peerHealth.getStatus(server.id);
+    const url = server.self && !server.url ? `${req.protocol}://${req.get("host")}` : server.url;
+    return { ...server, url, status: health.status };
+  });
+
+// Server directory, nearest first when the client passes lat and lon
+app.get("/api/servers", (req, res) => {
+  const location = serverDirectory.parseLocation(req.query.lat, req.query.lon);
+  const ranking = serverDirectory.rankServers(directoryServers(req), { location });
+
+  res.json({
+    server: SERVER_INFO.name,
+    method: ranking.method,
+    count: ranking.servers.length,
+    servers: ranking.servers,
+    timestamp: getHighResolutionTime(),
+  });
+});
+
+// Pick the best server from client-measured latencies ({ latencies: { id: ms } })
+// or, when none are usable, from the client's latitude and longitude. Peers
+// currently failing health checks are never chosen.
+app.post("/api/servers/select", (req, res) => {
+  const body = req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body) ? req.body : {};
+  const servers = directoryServers(req).filter((server) => server.status !== "unhealthy");
+
+  if (body.latencies !== undefined && (typeof body.latencies !== "object" || Array.isArray(body.latencies))) {
+    return res.status(400).json({ error: "latencies must be an object of server id to milliseconds" });
+  }
+
+  const limit = body.limit === undefined ? MAX_SELECTED_SERVERS : parseInt(body.limit);
+  if (isNaN(limit) || limit < 1 || limit > MAX_SELECTED_SERVERS) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_SELECTED_SERVERS}` });
+  }
+
+  const ranking = serverDirectory.rankServers(servers, {
+    latencies: serverDirectory.parseLatencies(body.latencies, servers),
+    location: serverDirectory.parseLocation(body.latitude, body.longitude),
+  });
+
+  res.json({
+    server: SERVER_INFO.name,
+    method: ranking.method,
+    best: ranking.servers[0],
+    servers: ranking.servers.slice(0, limit),
+    timestamp: getHighResolutionTime(),
+  });
+});
+
+// Live health of every peer as seen from this server
+app.get("/api/servers/health", (req, res) => {
+  const peers = peerHealth.list();
+  res.json({
+    server: SERVER_INFO.name,
+    interval: config.healthCheck.interval,
+    failureThreshold: config.healthCheck.failureThreshold,
+    healthy: peers.filter((peer) => peer.status === "healthy").length,
+    unhealthy: peers.filter((peer) => peer.status === "unhealthy").length,
+    peers,
+    timestamp: getHighResolutionTime(),
+  });
+});
+
 // Real-time ping endpoint for continuous monitoring
 app.get("/api/ping-realtime", (req, res) => {
   const clientSendTime = parseFloat(req.query.t);
   const sequence = parseInt(req.query.seq) || 0;
   const serverReceiveTime = getHighResolutionTime();
-  
-  // Add small random delay to simulate real network conditions
-  const processingDelay = Math.random() * 2; // 0-2ms random delay
-  
-  setTimeout(() => {
-    const serverSendTime = getHighResolutionTime();
-    const serverProcessingTime = serverSendTime - serverReceiveTime;
-    
-    let oneWayLatency = null;
-    if (clientSendTime && !isNaN(clientSendTime)) {
-      oneWayLatency = serverReceiveTime - clientSendTime;
-    }
 
-    res.json({
-      sequence,
-      clientSendTime: clientSendTime || null,
-      serverReceiveTime,
-      serverSendTime,
-      serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3)),
-      oneWayLatency: oneWayLatency ? parseFloat(oneWayLatency.toFixed(3)) : null,
-      server: SERVER_INFO.name,
-    });
-  }, processingDelay);
+  // Simulated delays come from the impairment layer, not from here
+  const serverSendTime = getHighResolutionTime();
+  const serverProcessingTime = serverSendTime - serverReceiveTime;
+  const oneWay = buildOneWayLatency(req, sequence, clientSendTime, serverReceiveTime, serverSendTime);
+
+  if (oneWay.clockSynchronized) {
+    recordSessionLatency(req, "ping-realtime", { oneWay: [oneWay.upstreamLatency] });
+  }
+
+  res.json({
+    sequence,
+    clientSendTime: clientSendTime || null,
+    serverReceiveTime,
+    serverSendTime,
+    serverProcessingTime: parseFloat(serverProcessingTime.toFixed(3)),
+    ...oneWay,
+    server: SERVER_INFO.name,
+  });
 });
 
 // Dedicated jitter test endpoint
@@ -518,39 +1039,31 @@ app.get("/api/latency-advanced", (req, res) => {
     if (completed >= count) {
       // Calculate proper latency statistics
       const processingTimes = measurements.map(m => m.serverProcessingTime);
-      const timeDiffs = measurements.map(m => m.timeSinceStart);
-      
+
       // Calculate inter-measurement intervals for jitter
       const intervals = [];
       for (let i = 1; i < measurements.length; i++) {
         intervals.push(measurements[i].timeSinceStart - measurements[i-1].timeSinceStart);
       }
-      
-      const avgProcessingTime = processingTimes.reduce((a, b) => a + b, 0) / processingTimes.length;
-      const minProcessingTime = Math.min(...processingTimes);
-      const maxProcessingTime = Math.max(...processingTimes);
-      
-      // Calculate jitter from interval variations
-      const avgInterval = intervals.length > 0 ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 0;
-      const jitter = intervals.length > 0 ? Math.max(...intervals) - Math.min(...intervals) : 0;
-      
-      // Calculate standard deviation for more accurate jitter
-      const variance = intervals.length > 0 ? 
-        intervals.reduce((sum, interval) => sum + Math.pow(interval - avgInterval, 2), 0) / intervals.length : 0;
-      const stdDeviation = Math.sqrt(variance);
+
+      const processingStats = summarizeLatency(processingTimes);
+      const intervalStats = summarizeLatency(intervals);
+      recordSessionLatency(req, "latency-advanced", { serverProcessing: processingTimes });
 
       res.json({
         success: true,
         measurements,
         statistics: {
           count: completed,
-          averageProcessingTime: avgProcessingTime.toFixed(3),
-          minimumProcessingTime: minProcessingTime.toFixed(3),
-          maximumProcessingTime: maxProcessingTime.toFixed(3),
-          jitter: jitter.toFixed(3),
-          standardDeviation: stdDeviation.toFixed(3),
-          avgInterval: avgInterval.toFixed(3),
-          totalTestTime: (measurements[measurements.length - 1].timeSinceStart).toFixed(3)
+          averageProcessingTime: processingStats.average,
+          minimumProcessingTime: processingStats.minimum,
+          maximumProcessingTime: processingStats.maximum,
+          jitter: intervalStats.jitter,
+          standardDeviation: intervalStats.standardDeviation,
+          avgInterval: intervalStats.average,
+          totalTestTime: round(measurements[measurements.length - 1].timeSinceStart),
+          processingTime: processingStats,
+          interval: intervalStats
         },
         intervals,
         server: SERVER_INFO.name,
@@ -575,6 +1088,11 @@ app.get("/api/warmup-advanced", (req, res) => {
   res.setHeader("Expires", "0");
   res.setHeader("X-Warmup-Start", startTime.toString());
 
+  // Warmup traffic is not a measurement, but its connection belongs to the session
+  if (req.testSession && testSessions.isActive(req.testSession)) {
+    testSessions.attachConnection(req.testSession, req.testConnectionId, { phase: "warmup", now: startTime });
+  }
+
   // Smaller warmup phases
   const phases = [
     { size: 0.1, delay: 50 },
@@ -583,6 +1101,7 @@ app.get("/api/warmup-advanced", (req, res) => {
   ];
 
   let currentPhase = 0;
+  let offset = 0; // Position in the random pattern, continued across phases
   let isFinished = false;
 
   const cleanup = () => {
@@ -601,10 +1120,15 @@ app.get("/api/warmup-advanced", (req, res) => {
     const phase = phases[currentPhase];
 
     try {
-      const phaseData = generateTestData(phase.size, "random");
-
       if (!res.destroyed && !isFinished) {
-        const success = res.write(phaseData);
+        // Zero-copy slices of the same block pool the download routes stream from
+        const phaseEnd = offset + Math.round(phase.size * 1024 * 1024);
+        let success = true;
+        while (offset < phaseEnd) {
+          const chunk = readPattern("random", offset, phaseEnd - offset);
+          success = res.write(chunk);
+          offset += chunk.length;
+        }
         currentPhase++;
 
         if (currentPhase < phases.length) {
@@ -639,92 +1163,433 @@ app.get("/api/warmup-advanced", (req, res) => {
   sendPhase();
 });
 
-// Fixed download test endpoint with proper size limits
+// Report a download's progress to the progress session named by ?progress or
+// X-Progress-Session. Routes call this once the request has passed validation,
+// count bytes into req.downloadProgress as they send them, and recordTransfer
+// ends it with the transfer's outcome. Returns {} or { error }.
+const beginDownloadProgress = (req) => {
+  const sessionId = req.query.progress || req.headers["x-progress-session"];
+  if (!sessionId) return {};
+
+  const session = downloadProgress.getSession(sessionId);
+  if (!session) {
+    return { error: "Progress session not found" };
+  }
+
+  const download = downloadProgress.beginDownload(session, {
+    source: req.path,
+    now: getHighResolutionTime(),
+  });
+  req.downloadProgress = { session, download };
+  return {};
+};
+
+// ?pattern, plus ?seed when the seeded pattern is asked for
+const parseDataPattern = (query) => {
+  const pattern = normalizePattern(query.pattern);
+  if (pattern !== SEEDED_PATTERN) return { pattern, seed: null };
+
+  if (!isValidSeed(query.seed)) {
+    return { error: `The seeded pattern needs a seed of 1 to ${MAX_SEED_LENGTH} printable ASCII characters` };
+  }
+  return { pattern, seed: query.seed };
+};
+
+// Optional ?rate=<Mbps> target for shaped downloads
+const parseTargetRate = (query) => {
+  if (query.rate === undefined) return { bucket: null };
+
+  const rate = parseFloat(query.rate);
+  if (isNaN(rate) || rate < MIN_TARGET_RATE || rate > MAX_TARGET_RATE) {
+    return { error: `Invalid rate. Must be between ${MIN_TARGET_RATE} and ${MAX_TARGET_RATE} Mbps` };
+  }
+
+  return { bucket: new TokenBucket({ rateMbps: rate }) };
+};
+
+// Rate cap from the request's impairment profile, if it sets one
+const impairmentBucket = (req) =>
+  req.impairment && req.impairment.profile.rate !== null
+    ? new TokenBucket({ rateMbps: req.impairment.profile.rate })
+    : null;
+
+// Stream a generated test body to the client, stopping when it goes away.
+// With options.bucket the body is shaped to the bucket's rate; an impairment
+// on the request adds stalls and can cut the connection part way through.
+const streamTestData = (req, res, options) => {
+  const source = options.source || createTestDataStream(options);
+  const bucket = options.bucket || impairmentBucket(req);
+  const shaped = bucket ? source.pipe(new ShapedStream(bucket)) : source;
+  const impaired = req.impairment
+    ? shaped.pipe(new impairment.ImpairedStream(req.impairment, {
+        onDrop: () => {
+          source.destroy();
+          shaped.destroy();
+        },
+      }))
+    : null;
+  const stream = impaired || shaped;
+  const startTime = getHighResolutionTime();
+  let bytesSent = 0;
+  metrics.trackStream("download", res);
+
+  const onError = (error) => {
+    console.error("Download stream error:", error);
+    res.destroy(error);
+  };
+  source.on("error", onError);
+  shaped.on("error", onError);
+  stream.on("error", onError);
+
+  stream.on("data", (chunk) => {
+    bytesSent += chunk.length;
+    if (req.downloadProgress) downloadProgress.addBytes(req.downloadProgress.download, chunk.length);
+  });
+  res.on("close", () => {
+    source.destroy();
+    shaped.destroy();
+    stream.destroy();
+    recordTransfer(req, "download", {
+      bytes: bytesSent,
+      startTime,
+      endTime: getHighResolutionTime(),
+      completed: res.writableFinished,
+    });
+  });
+
+  if (!impaired) {
+    stream.pipe(res);
+    return stream;
+  }
+
+  // A dropped body must end without a clean finish, so the socket is closed
+  // once what was sent has been flushed
+  stream.pipe(res, { end: false });
+  stream.on("end", () => {
+    if (impaired.dropped && res.socket) {
+      res.socket.destroySoon();
+    } else {
+      res.end();
+    }
+  });
+  return stream;
+};
+
+// Download test endpoint streamed from the pooled data source. Supports
+// Range and If-Range, so clients can resume or fetch slices in parallel.
 app.get("/api/download/:size", (req, res) => {
   const size = parseFloat(req.params.size);
-  const pattern = req.query.pattern || "random";
 
   // Enforce size limits
-  if (isNaN(size) || size < 0.1 || size > 10) {
+  if (isNaN(size) || size < MIN_DOWNLOAD_SIZE || size > MAX_DOWNLOAD_SIZE) {
     return res
       .status(400)
-      .json({ error: "Invalid size. Must be between 0.1 and 10 MB" });
+      .json({ error: `Invalid size. Must be between ${MIN_DOWNLOAD_SIZE} and ${MAX_DOWNLOAD_SIZE} MB` });
   }
 
-  try {
-    const testData = generateTestData(size, pattern);
-    const startTime = getHighResolutionTime();
+  const data = parseDataPattern(req.query);
+  if (data.error) {
+    return res.status(400).json({ error: data.error });
+  }
+  const { pattern, seed } = data;
+
+  const shaping = parseTargetRate(req.query);
+  if (shaping.error) {
+    return res.status(400).json({ error: shaping.error });
+  }
+
+  const sizeInBytes = Math.round(size * 1024 * 1024);
+  const startTime = getHighResolutionTime();
+  const etag = byteRanges.entityTag(pattern, seed, sizeInBytes);
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", byteRanges.lastModified());
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("X-Test-Start", startTime.toString());
+  res.setHeader("X-Test-Size", size.toString());
+  res.setHeader("X-Pattern", pattern);
+  if (seed) res.setHeader("X-Pattern-Seed", seed);
+  if (shaping.bucket) res.setHeader("X-Target-Rate", shaping.bucket.rateMbps.toString());
+
+  // A stale If-Range validator means the client gets the whole body again
+  const range = byteRanges.ifRangeMatches(req.headers["if-range"], etag)
+    ? byteRanges.parseRange(req.headers.range, sizeInBytes)
+    : null;
+
+  if (range && range.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${sizeInBytes}`);
+    return res.status(416).json({ error: "Range not satisfiable", size: sizeInBytes });
+  }
+
+  const progress = beginDownloadProgress(req);
+  if (progress.error) {
+    return res.status(404).json({ error: progress.error });
+  }
 
+  const options = { pattern, seed, bucket: shaping.bucket };
+
+  if (!range) {
     res.setHeader("Content-Type", "application/octet-stream");
-    res.setHeader("Content-Length", testData.length.toString());
-    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
-    res.setHeader("X-Test-Start", startTime.toString());
-    res.setHeader("X-Test-Size", size.toString());
-    res.setHeader("X-Pattern", pattern);
-
-    // Send data in fixed-size chunks
-    const chunkSize = 64 * 1024; // Fixed 64KB chunks
-    let offset = 0;
-    let isFinished = false;
-
-    const cleanup = () => {
-      isFinished = true;
-    };
+    res.setHeader("Content-Length", sizeInBytes.toString());
+    return streamTestData(req, res, { ...options, size: sizeInBytes });
+  }
 
-    const sendChunk = () => {
-      if (isFinished || res.destroyed) return;
+  res.status(206);
 
-      if (offset >= testData.length) {
-        res.end();
-        cleanup();
-        return;
-      }
+  if (range.ranges.length === 1) {
+    const [{ start, end }] = range.ranges;
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Range", byteRanges.contentRange(range.ranges[0], sizeInBytes));
+    res.setHeader("Content-Length", (end - start + 1).toString());
+    return streamTestData(req, res, { ...options, start, size: end - start + 1 });
+  }
 
-      const chunk = testData.slice(
-        offset,
-        Math.min(offset + chunkSize, testData.length)
-      );
+  const multipart = {
+    pattern,
+    seed,
+    size: sizeInBytes,
+    ranges: range.ranges,
+    boundary: byteRanges.createBoundary(),
+    contentType: "application/octet-stream",
+  };
+  res.setHeader("Content-Type", `multipart/byteranges; boundary=${multipart.boundary}`);
+  res.setHeader("Content-Length", byteRanges.multipartLength(multipart).toString());
+  streamTestData(req, res, { ...options, source: new byteRanges.ByteRangesStream(multipart) });
+});
 
-      try {
-        const writeSuccess = res.write(chunk);
-        offset += chunk.length;
+// Validate ?duration (seconds) and/or ?size (MB) for bounded streaming downloads
+const parseDownloadBounds = (query) => {
+  const duration = parseFloat(query.duration);
+  const size = parseFloat(query.size);
+  const hasDuration = !isNaN(duration);
+  const hasSize = !isNaN(size);
 
-        if (writeSuccess) {
-          setImmediate(sendChunk);
-        } else {
-          res.once("drain", sendChunk);
-        }
-      } catch (error) {
-        console.error("Error writing chunk:", error);
-        cleanup();
-      }
-    };
+  if (!hasDuration && !hasSize) {
+    return { error: "Specify a duration (seconds) and/or size (MB)" };
+  }
 
-    req.on("close", cleanup);
-    req.on("aborted", cleanup);
-    res.on("close", cleanup);
-    res.on("error", cleanup);
+  if (hasDuration && (duration <= 0 || duration > MAX_DOWNLOAD_DURATION)) {
+    return { error: `Invalid duration. Must be between 0 and ${MAX_DOWNLOAD_DURATION} seconds` };
+  }
 
-    sendChunk();
-  } catch (error) {
-    console.error("Download test error:", error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: "Failed to generate test data" });
-    }
+  if (hasSize && (size < MIN_DOWNLOAD_SIZE || size > MAX_DOWNLOAD_SIZE)) {
+    return { error: `Invalid size. Must be between ${MIN_DOWNLOAD_SIZE} and ${MAX_DOWNLOAD_SIZE} MB` };
   }
+
+  return {
+    duration: hasDuration ? duration : null,
+    size: hasSize ? size : null,
+    sizeInBytes: hasSize ? Math.round(size * 1024 * 1024) : null,
+  };
+};
+
+// Headers for a bounded streaming download; Content-Length is only known
+// up front when size is the sole bound
+const setStreamHeaders = (res, bounds, { pattern, seed }) => {
+  res.setHeader("Content-Type", "application/octet-stream");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("X-Test-Start", getHighResolutionTime().toString());
+  res.setHeader("X-Pattern", pattern);
+  if (seed) res.setHeader("X-Pattern-Seed", seed);
+
+  if (bounds.size !== null && bounds.duration === null) {
+    res.setHeader("Content-Length", bounds.sizeInBytes.toString());
+  }
+  if (bounds.size !== null) res.setHeader("X-Test-Size", bounds.size.toString());
+  if (bounds.duration !== null) res.setHeader("X-Duration", bounds.duration.toString());
+};
+
+// Duration-bounded (and optionally size-bounded) streaming download
+app.get("/api/download-stream", (req, res) => {
+  const data = parseDataPattern(req.query);
+  const bounds = parseDownloadBounds(req.query);
+  const error = data.error || bounds.error;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  setStreamHeaders(res, bounds, data);
+  streamTestData(req, res, {
+    pattern: data.pattern,
+    seed: data.seed,
+    size: bounds.sizeInBytes,
+    duration: bounds.duration !== null ? bounds.duration * 1000 : null,
+  });
 });
 
-// Completely rewritten adaptive download endpoint
-app.get("/api/download-adaptive", (req, res) => {
-  const maxSize = Math.min(parseFloat(req.query.max) || 5, 10); // Max 10MB
-  const duration = Math.min(parseInt(req.query.duration) || 10, 30); // Max 30 seconds
-  const pattern = req.query.pattern || "random";
+// Multi-stream download: create a session, open N parallel streams against it,
+// then read aggregate throughput sampled on the server's shared timeline
+app.post("/api/download-multi/session", (req, res) => {
+  const session = multiStream.createSession(req.body || {}, getHighResolutionTime());
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    expectedStreams: session.expectedStreams,
+    sampleInterval: session.sampleInterval,
+    rampUp: session.rampUp,
+    tail: session.tail,
+    maxStreams: multiStream.MAX_STREAMS,
+    streamUrl: `/api/download-multi/${session.id}/stream/{streamId}`,
+    server: SERVER_INFO.name,
+  });
+});
+
+// One stream of a multi-stream download
+app.get("/api/download-multi/:id/stream/:streamId", (req, res) => {
+  const session = multiStream.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Multi-stream session not found" });
+  }
+
+  const data = parseDataPattern(req.query);
+  const bounds = parseDownloadBounds(req.query);
+  const error = data.error || bounds.error;
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const streamId = req.params.streamId;
+  if (!multiStream.canAddStream(session, streamId)) {
+    return res.status(409).json({ error: "Stream id already used or stream limit reached" });
+  }
+
+  setStreamHeaders(res, bounds, data);
+  res.setHeader("X-Multi-Stream-Session", session.id);
+
+  const stream = streamTestData(req, res, {
+    pattern: data.pattern,
+    seed: data.seed,
+    size: bounds.sizeInBytes,
+    duration: bounds.duration !== null ? bounds.duration * 1000 : null,
+  });
+  multiStream.addStream(session, streamId, stream, getHighResolutionTime());
+  res.on("close", () => multiStream.endStream(session, streamId, getHighResolutionTime()));
+});
+
+// Per-stream and aggregate throughput for a multi-stream session
+app.get("/api/download-multi/:id", (req, res) => {
+  const session = multiStream.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Multi-stream session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...multiStream.buildReport(session),
+    server: SERVER_INFO.name,
+  });
+});
+
+// Tag a transfer as load for a loaded-latency session while it runs
+const trackLoadedTransfer = (direction) => (req, res, next) => {
+  const sessionId = req.query.loadedSession || req.headers["x-loaded-session"];
+  if (!sessionId) return next();
+
+  const session = loadedLatency.getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: "Loaded-latency session not found" });
+  }
+
+  const endTransfer = loadedLatency.beginTransfer(session, direction);
+  res.on("close", endTransfer);
+  res.on("finish", endTransfer);
+  next();
+};
+
+// Start a loaded-latency (bufferbloat) session
+app.post("/api/loaded-latency/session", (req, res) => {
+  const session = loadedLatency.createSession(getHighResolutionTime());
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    server: SERVER_INFO.name,
+  });
+});
+
+// Chained latency probe: send the next probe as soon as the previous response arrives
+app.get("/api/loaded-latency/ping", (req, res) => {
+  const serverReceiveTime = getHighResolutionTime();
+  const session = loadedLatency.getSession(req.query.session);
+  const sequence = parseInt(req.query.seq);
+
+  if (!session) {
+    return res.status(404).json({ error: "Loaded-latency session not found" });
+  }
+
+  if (isNaN(sequence) || sequence < 0) {
+    return res.status(400).json({ error: "Invalid probe sequence number" });
+  }
+
+  const sample = loadedLatency.recordProbe(session, sequence, serverReceiveTime);
+  const serverSendTime = getHighResolutionTime();
+  loadedLatency.markProbeSent(session, sequence, serverSendTime);
+
+  res.json({
+    sequence,
+    serverReceiveTime,
+    serverSendTime,
+    phase: loadedLatency.currentPhase(session),
+    roundTripTime: sample ? sample.roundTripTime : null,
+    server: SERVER_INFO.name,
+  });
+});
+
+// Idle vs. loaded latency report with bufferbloat grade
+app.get("/api/loaded-latency/:id", (req, res) => {
+  const session = loadedLatency.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Loaded-latency session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...loadedLatency.buildReport(session),
+    server: SERVER_INFO.name,
+  });
+});
+
+// Adaptive download: grows the data in flight until throughput plateaus and
+// stops once the estimate is stable. ?max in MB, ?duration in seconds,
+// ?tolerance in percent, ?interval in ms between samples.
+app.get("/api/download-adaptive", trackLoadedTransfer("download"), (req, res) => {
+  // Defaults match the original route (5 MB); larger windows need ?max= up to MAX_DOWNLOAD_SIZE
+  const maxSize = Math.min(parseFloat(req.query.max) || 5, MAX_DOWNLOAD_SIZE);
+  const duration = Math.min(parseFloat(req.query.duration) || 10, MAX_DOWNLOAD_DURATION);
+  const options = adaptiveDownload.parseOptions(req.query);
+
+  const data = parseDataPattern(req.query);
+  if (data.error) {
+    return res.status(400).json({ error: data.error });
+  }
+  const { pattern, seed } = data;
+
+  const shaping = parseTargetRate(req.query);
+  if (shaping.error) {
+    return res.status(400).json({ error: shaping.error });
+  }
+
+  // The adaptive writer paces itself, so only latency, jitter and rate apply here
+  if (req.impairment && (req.impairment.profile.stallProbability > 0 || req.impairment.profile.dropAfter !== null)) {
+    return res.status(400).json({
+      error: "Stalls and dropAfter are not supported on the adaptive download. Use latency, jitter and rate only",
+    });
+  }
+
+  const progress = beginDownloadProgress(req);
+  if (progress.error) {
+    return res.status(404).json({ error: progress.error });
+  }
 
   const startTime = getHighResolutionTime();
-  let totalSent = 0;
-  let isFinished = false;
 
   res.setHeader("Content-Type", "application/octet-stream");
   res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
@@ -733,79 +1598,238 @@ app.get("/api/download-adaptive", (req, res) => {
   res.setHeader("X-Test-Type", "adaptive");
   res.setHeader("X-Start-Time", startTime.toString());
   res.setHeader("X-Pattern", pattern);
+  if (seed) res.setHeader("X-Pattern-Seed", seed);
   res.setHeader("X-Max-Size", maxSize.toString());
   res.setHeader("X-Duration", duration.toString());
+  res.setHeader("X-Tolerance", (options.tolerance * 100).toString());
+  metrics.trackStream("download", res);
+  if (shaping.bucket) res.setHeader("X-Target-Rate", shaping.bucket.rateMbps.toString());
+
+  adaptiveDownload.runAdaptiveDownload(
+    res,
+    {
+      ...options,
+      pattern,
+      seed,
+      maxBytes: Math.round(maxSize * 1024 * 1024),
+      duration: duration * 1000,
+      bucket: shaping.bucket || impairmentBucket(req),
+      onFlush: req.downloadProgress
+        ? (bytes) => downloadProgress.addBytes(req.downloadProgress.download, bytes)
+        : null,
+    },
+    (report) => {
+      recordTransfer(req, "download", {
+        bytes: report.totalBytes,
+        startTime,
+        endTime: getHighResolutionTime(),
+        completed: report.stopReason !== "client-closed",
+        speedMbps: report.stabilization ? report.stabilization.speedMbps : undefined,
+      });
+    }
+  );
+});
 
-  // Pre-generate fixed chunk sizes to reuse
-  const smallChunk = generateTestData(0.1, pattern); // 100KB
-  const mediumChunk = generateTestData(0.25, pattern); // 250KB
-  const largeChunk = generateTestData(0.5, pattern); // 500KB
+// Live throughput for downloads run with ?progress=<sessionId>. The first
+// event carries the session id; samples follow every ?interval ms while any
+// tagged download runs, and a summary event ends the stream.
+app.get("/api/download-progress", (req, res) => {
+  const session = downloadProgress.createSession(req.query, getHighResolutionTime());
 
-  const cleanup = () => {
-    isFinished = true;
-  };
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
 
-  const sendData = () => {
-    if (isFinished || res.destroyed) return;
+  res.write(`data: ${JSON.stringify({
+    type: 'session',
+    sessionId: session.id,
+    interval: session.interval
+  })}\n\n`);
 
-    const now = getHighResolutionTime();
-    const elapsed = (now - startTime) / 1000;
+  metrics.trackStream("sse", res);
+  const unsubscribe = downloadProgress.subscribe(session, (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (event.type === "summary") res.end();
+  });
+  res.on("close", unsubscribe);
+});
 
-    // Stop after duration or max size reached
-    if (elapsed >= duration || totalSent >= maxSize * 1024 * 1024) {
-      if (!res.destroyed && !isFinished) {
-        res.end();
-      }
-      cleanup();
-      return;
-    }
+// Compression detection: create a session, download each leg, then report
+// what the client saw (POST .../report) and read the verdict
+app.post("/api/compression-test/session", (req, res) => {
+  const size = parseFloat((req.body && req.body.size) || req.query.size) || 5;
+
+  if (size < MIN_DOWNLOAD_SIZE || size > MAX_COMPRESSION_TEST_SIZE) {
+    return res
+      .status(400)
+      .json({ error: `Invalid size. Must be between ${MIN_DOWNLOAD_SIZE} and ${MAX_COMPRESSION_TEST_SIZE} MB` });
+  }
+
+  // Sizes snap to 0.1 MB so the set of body digests to compute stays small
+  const bodySize = Math.round(Math.max(1, Math.round(size * 10)) * 0.1 * 1024 * 1024);
+  compressionTest.createSession({ size: bodySize, now: getHighResolutionTime() }, (session) => {
+    if (res.destroyed) return;
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      size: session.size,
+      digests: session.digests,
+      legs: compressionTest.LEGS.map((leg) => ({
+        leg,
+        url: `/api/compression-test/${session.id}/${leg}`,
+      })),
+      reportUrl: `/api/compression-test/${session.id}/report`,
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
+// Proxy headers on a leg request. Behind a trusted reverse proxy the
+// forwarding headers are our own infrastructure, not evidence of a middlebox.
+const legProxyHeaders = (req) =>
+  compressionTest.PROXY_HEADERS.filter(
+    (header) =>
+      req.headers[header] !== undefined &&
+      !(config.trustProxy > 0 && compressionTest.FORWARDING_HEADERS.includes(header))
+  );
+
+// One leg of a compression test. Gzip legs are only compressed when the
+// request still advertises gzip by the time it reaches the server.
+app.get("/api/compression-test/:id/:leg", (req, res) => {
+  const session = compressionTest.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Compression test session not found" });
+  }
+
+  const leg = compressionTest.parseLeg(req.params.leg);
+  if (!leg) {
+    return res.status(404).json({ error: "Unknown leg", legs: compressionTest.LEGS });
+  }
+
+  const acceptEncoding = req.headers["accept-encoding"] || "";
+  const encoding = leg.encoding === "gzip" && /\bgzip\b/.test(acceptEncoding) ? "gzip" : "identity";
+  const proxyHeaders = legProxyHeaders(req);
+
+  res.setHeader("Content-Type", "application/octet-stream");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Vary", "Accept-Encoding");
+  res.setHeader("X-Pattern", leg.pattern);
+  res.setHeader("X-Body-Size", session.size.toString());
+  res.setHeader("X-Body-SHA256", session.digests[leg.pattern]);
+  res.setHeader("X-Served-Encoding", encoding);
+  if (encoding === "gzip") {
+    res.setHeader("Content-Encoding", "gzip");
+  } else {
+    res.setHeader("Content-Length", session.size.toString());
+  }
+
+  const source = createTestDataStream({ pattern: leg.pattern, size: session.size });
+  const body = encoding === "gzip" ? source.pipe(zlib.createGzip({ level: zlib.constants.Z_BEST_SPEED })) : source;
+  const socket = req.socket;
+  const wireStart = socket.bytesWritten;
+  const startTime = getHighResolutionTime();
+
+  metrics.trackStream("download", res);
+  res.on("finish", () => {
+    const duration = getHighResolutionTime() - startTime;
+    const wireBytes = socket.bytesWritten - wireStart;
+    metrics.recordTransferBytes(req, "download", wireBytes);
+    compressionTest.recordServed(session, req.params.leg, {
+      encoding,
+      bodyBytes: session.size,
+      wireBytes,
+      duration: round(duration),
+      serverSpeedMbps: round(toMbps(wireBytes, duration)),
+      acceptEncodingReceived: acceptEncoding,
+      proxyHeaders,
+    });
+  });
+  res.on("close", () => {
+    source.destroy();
+    body.destroy();
+  });
+
+  body.on("error", (error) => {
+    console.error("Compression test stream error:", error);
+    res.destroy(error);
+  });
+  body.pipe(res);
+});
+
+// Client observations per leg: { legs: { "<leg>": { receivedBytes, encodedBytes,
+// contentEncoding, duration, sha256, acceptEncodingSent } } }
+app.post("/api/compression-test/:id/report", (req, res) => {
+  const session = compressionTest.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Compression test session not found" });
+  }
+
+  const { legs, error } = compressionTest.parseReport(req.body && req.body.legs);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  compressionTest.recordReport(session, { legs, receivedAt: getHighResolutionTime() });
+  res.json({
+    success: true,
+    ...compressionTest.analyze(session),
+    server: SERVER_INFO.name,
+  });
+});
 
-    try {
-      // Choose chunk size based on elapsed time, but keep it reasonable
-      let chunkToSend;
-      if (elapsed < 2) {
-        chunkToSend = smallChunk;
-      } else if (elapsed < 5) {
-        chunkToSend = mediumChunk;
-      } else {
-        chunkToSend = largeChunk;
-      }
+app.get("/api/compression-test/:id", (req, res) => {
+  const session = compressionTest.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: "Compression test session not found" });
+  }
 
-      // Don't exceed max size
-      const remainingBytes = (maxSize * 1024 * 1024) - totalSent;
-      if (chunkToSend.length > remainingBytes) {
-        chunkToSend = chunkToSend.slice(0, remainingBytes);
-      }
+  res.json({
+    success: true,
+    ...compressionTest.analyze(session),
+    server: SERVER_INFO.name,
+  });
+});
 
-      if (!res.destroyed && !isFinished && chunkToSend.length > 0) {
-        const writeSuccess = res.write(chunkToSend);
-        totalSent += chunkToSend.length;
+// Report for a finished adaptive download, including the stabilization point
+app.get("/api/download-adaptive/:id", (req, res) => {
+  const report = adaptiveDownload.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: "Adaptive download not found" });
+  }
 
-        // Fixed delay instead of complex calculation
-        const delay = 100; // 100ms delay
+  res.json({
+    success: true,
+    ...report,
+    server: SERVER_INFO.name,
+  });
+});
 
-        if (writeSuccess) {
-          setTimeout(sendData, delay);
-        } else {
-          res.once("drain", () => setTimeout(sendData, delay));
-        }
-      }
-    } catch (error) {
-      console.error("Error in adaptive download:", error);
-      if (!res.destroyed && !isFinished) {
-        res.end();
-      }
-      cleanup();
-    }
-  };
+// Uploads of the seeded pattern are checked byte for byte when the client
+// names the seed (x-pattern-seed) and, optionally, its starting offset
+const createUploadVerifier = (req) => {
+  const seed = req.headers["x-pattern-seed"] || req.query.seed;
+  if (seed === undefined) {
+    return req.headers["x-pattern"] === SEEDED_PATTERN
+      ? { error: "Seeded uploads need an x-pattern-seed header to be verified" }
+      : { verifier: null };
+  }
 
-  req.on("close", cleanup);
-  req.on("aborted", cleanup);
-  res.on("close", cleanup);
-  res.on("error", cleanup);
+  if (!isValidSeed(seed)) {
+    return { error: `Invalid seed. Must be 1 to ${MAX_SEED_LENGTH} printable ASCII characters` };
+  }
 
-  sendData();
-});
+  const offset = Number(req.headers["x-pattern-offset"] || req.query.offset || 0);
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    return { error: "Invalid pattern offset. Must be a non-negative integer" };
+  }
+
+  return { verifier: new PatternVerifier({ seed, offset }) };
+};
 
 // Fixed upload test endpoint with proper validation
 app.post("/api/upload", upload.single("file"), (req, res) => {
@@ -815,6 +1839,11 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
   const testSize = parseFloat(req.headers["x-test-size"]) || 0;
   const pattern = req.headers["x-pattern"] || "unknown";
 
+  const { verifier, error } = createUploadVerifier(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   try {
     let dataSize = 0;
     let dataBuffer = null;
@@ -830,11 +1859,11 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
     }
 
     // Validate size limits
-    if (dataSize > 10 * 1024 * 1024) {
+    if (dataSize > MAX_UPLOAD_BYTES) {
       return res.status(413).json({ 
-        error: "File too large. Maximum size is 10MB",
+        error: `File too large. Maximum size is ${config.limits.maxUploadSize}MB`,
         receivedSize: dataSize,
-        maxSize: 10 * 1024 * 1024
+        maxSize: MAX_UPLOAD_BYTES
       });
     }
 
@@ -842,18 +1871,17 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
     const processingTime = receiveEndTime - receiveStartTime;
     const totalTime = receiveEndTime - clientStartTime;
 
-    // Calculate upload speed
-    const speedMbps =
-      totalTime > 0 ? (dataSize * 8) / ((totalTime / 1000) * 1024 * 1024) : 0;
+    // Server-measured speed from first/last byte arrival; the client-claimed
+    // figure depends on the client's clock and x-upload-start header
+    const serverMeasured = summarizeUploadTiming(req.uploadTiming);
+    const clientClaimedSpeedMbps = toMbps(dataSize, totalTime);
+    const speedMbps = serverMeasured ? serverMeasured.speedMbps : clientClaimedSpeedMbps;
+    const stored = recordUpload(req, dataSize, serverMeasured, receiveStartTime, receiveEndTime);
 
     // Generate a simple checksum for data integrity
-    const checksum = dataBuffer
-      ? crypto
-          .createHash("md5")
-          .update(dataBuffer)
-          .digest("hex")
-          .substring(0, 8)
-      : "unknown";
+    const md5 = crypto.createHash("md5").update(dataBuffer).digest("hex");
+    const checksum = md5.substring(0, 8);
+    if (verifier) verifier.update(dataBuffer);
 
     res.json({
       success: true,
@@ -869,15 +1897,25 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
         expectedSize: testSize,
         pattern,
         integrity: checksum,
+        md5,
         sizeMB: (dataSize / (1024 * 1024)).toFixed(2),
+        verification: verifier ? verifier.result() : null,
       },
       performance: {
         speedMbps: speedMbps.toFixed(3),
+        clientClaimedSpeedMbps: clientClaimedSpeedMbps.toFixed(3),
         efficiency:
           testSize > 0
             ? ((dataSize / (testSize * 1024 * 1024)) * 100).toFixed(2)
             : "100.00",
       },
+      serverMeasured,
+      clientClaimed: {
+        clientStartTime,
+        totalTime,
+        speedMbps: parseFloat(clientClaimedSpeedMbps.toFixed(3)),
+      },
+      share: shareableResult(stored),
       server: SERVER_INFO.name,
     });
   } catch (error) {
@@ -891,8 +1929,88 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
   }
 });
 
+// Streaming upload endpoint: no size limit, optional duration bound
+app.post("/api/upload-stream", (req, res) => {
+  const receiveStartTime = getHighResolutionTime();
+  const clientStartTime =
+    parseFloat(req.headers["x-upload-start"]) || receiveStartTime;
+  const pattern = req.headers["x-pattern"] || "unknown";
+  const duration = req.query.duration !== undefined ? parseFloat(req.query.duration) : null;
+
+  if (duration !== null && (isNaN(duration) || duration <= 0 || duration > MAX_UPLOAD_DURATION)) {
+    return res
+      .status(400)
+      .json({ error: `Invalid duration. Must be between 0 and ${MAX_UPLOAD_DURATION} seconds` });
+  }
+
+  const verification = createUploadVerifier(req);
+  if (verification.error) {
+    return res.status(400).json({ error: verification.error });
+  }
+  const { verifier } = verification;
+  metrics.trackStream("upload", res);
+
+  consumeUpload(req, { duration: duration !== null ? duration * 1000 : null, verifier }, (error, result) => {
+    if (error) {
+      console.error("Streaming upload error:", error);
+      if (!res.headersSent && !res.destroyed) {
+        res.status(500).json({
+          error: "Upload test failed",
+          details: error.message,
+        });
+      }
+      return;
+    }
+
+    const receiveEndTime = getHighResolutionTime();
+    const totalTime = receiveEndTime - clientStartTime;
+    const serverMeasured = summarizeUploadTiming(req.uploadTiming);
+    const clientClaimedSpeedMbps = toMbps(result.bytes, totalTime);
+    const speedMbps = serverMeasured ? serverMeasured.speedMbps : 0;
+    const stored = recordUpload(req, result.bytes, serverMeasured, receiveStartTime, receiveEndTime);
+
+    // Discard the rest of a cut-off body so the client can read the response,
+    // but do not keep draining a client that ignores it
+    if (result.truncated) {
+      res.setHeader("Connection", "close");
+      req.resume();
+      const drainTimer = setTimeout(() => req.destroy(), UPLOAD_DRAIN_GRACE);
+      req.on("end", () => clearTimeout(drainTimer));
+      req.on("close", () => clearTimeout(drainTimer));
+    }
+
+    res.json({
+      success: true,
+      timing: {
+        clientStartTime,
+        receiveStartTime,
+        receiveEndTime,
+        processingTime: receiveEndTime - receiveStartTime,
+        totalTime,
+      },
+      data: {
+        size: result.bytes,
+        pattern,
+        integrity: result.digest ? result.digest.substring(0, 8) : "unknown",
+        md5: result.digest,
+        sizeMB: (result.bytes / (1024 * 1024)).toFixed(2),
+        truncated: result.truncated,
+        durationLimit: duration,
+        verification: verifier ? verifier.result() : null,
+      },
+      performance: {
+        speedMbps: speedMbps.toFixed(3),
+        clientClaimedSpeedMbps: clientClaimedSpeedMbps.toFixed(3),
+      },
+      serverMeasured,
+      share: shareableResult(stored),
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
 // Multi-connection upload endpoint with size validation
-app.post("/api/upload-multi", upload.single("file"), (req, res) => {
+app.post("/api/upload-multi", trackLoadedTransfer("upload"), upload.single("file"), (req, res) => {
   const receiveTime = getHighResolutionTime();
   const clientStartTime =
     parseFloat(req.headers["x-upload-start"]) || receiveTime;
@@ -913,11 +2031,11 @@ app.post("/api/upload-multi", upload.single("file"), (req, res) => {
     }
 
     // Validate size limits
-    if (dataSize > 10 * 1024 * 1024) {
+    if (dataSize > MAX_UPLOAD_BYTES) {
       return res.status(413).json({ 
-        error: "File too large. Maximum size is 10MB per connection",
+        error: `File too large. Maximum size is ${config.limits.maxUploadSize}MB per connection`,
         receivedSize: dataSize,
-        maxSize: 10 * 1024 * 1024,
+        maxSize: MAX_UPLOAD_BYTES,
         connectionId
       });
     }
@@ -927,11 +2045,11 @@ app.post("/api/upload-multi", upload.single("file"), (req, res) => {
     const processingDuration = processTime - receiveTime;
     const totalDuration = processTime - clientStartTime;
 
-    // Calculate speed for this connection
-    const speedMbps =
-      totalDuration > 0
-        ? (dataSize * 8) / ((totalDuration / 1000) * 1024 * 1024)
-        : 0;
+    // Calculate speed for this connection, preferring the server-measured window
+    const serverMeasured = summarizeUploadTiming(req.uploadTiming);
+    const clientClaimedSpeedMbps = toMbps(dataSize, totalDuration);
+    const speedMbps = serverMeasured ? serverMeasured.speedMbps : clientClaimedSpeedMbps;
+    const stored = recordUpload(req, dataSize, serverMeasured, receiveTime, processTime);
 
     res.json({
       success: true,
@@ -950,8 +2068,11 @@ app.post("/api/upload-multi", upload.single("file"), (req, res) => {
         expectedSize: testSize,
         pattern,
         speedMbps: speedMbps.toFixed(3),
+        clientClaimedSpeedMbps: clientClaimedSpeedMbps.toFixed(3),
         sizeMB: (dataSize / (1024 * 1024)).toFixed(2),
       },
+      serverMeasured,
+      share: shareableResult(stored),
       server: SERVER_INFO.name,
     });
   } catch (error) {
@@ -966,6 +2087,463 @@ app.post("/api/upload-multi", upload.single("file"), (req, res) => {
   }
 });
 
+// Create a test session that ties ping, download and upload results together
+app.post("/api/sessions", (req, res) => {
+  const metadata = req.body && typeof req.body.metadata === "object" ? req.body.metadata : {};
+  const session = testSessions.createSession({
+    now: getHighResolutionTime(),
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+    metadata,
+  });
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    usage: "Send the id as ?testSession= or the x-test-session header on any test endpoint",
+    server: SERVER_INFO.name,
+  });
+});
+
+// Register a connection with a test session ahead of its transfers
+app.post("/api/sessions/:id/connections", (req, res) => {
+  const session = testSessions.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Test session not found" });
+  }
+
+  if (!testSessions.isActive(session)) {
+    return res.status(409).json({ error: "Test session already finished" });
+  }
+
+  const body = req.body || {};
+  const connection = testSessions.attachConnection(session, body.connectionId && String(body.connectionId), {
+    phase: body.phase || null,
+    now: getHighResolutionTime(),
+  });
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    connection,
+    server: SERVER_INFO.name,
+  });
+});
+
+// Finish a test session and return its final report
+app.post("/api/sessions/:id/finish", (req, res) => {
+  const session = testSessions.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Test session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...testSessions.finishSession(session, getHighResolutionTime()),
+    share: session.share || null,
+    server: SERVER_INFO.name,
+  });
+});
+
+// Current (or final) report for a test session
+app.get("/api/sessions/:id", (req, res) => {
+  const session = testSessions.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Test session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...testSessions.getReport(session),
+    server: SERVER_INFO.name,
+  });
+});
+
+// Finished test sessions are persisted as a single result record
+// Only the measured values are signed and shared; who ran the test stays in `client`
+const sessionMeasurements = (report) => ({
+  createdAt: report.createdAt,
+  finishedAt: report.finishedAt,
+  latency: report.latency,
+  download: report.download,
+  upload: report.upload,
+});
+
+testSessions.onSessionFinished((report, session) => {
+  session.share = shareableResult(
+    saveResult("session", "/api/sessions", { ...report.client, testSessionId: report.sessionId }, sessionMeasurements(report))
+  );
+});
+
+// Result history, newest first, optionally filtered by type and date range
+app.get("/api/results", (req, res) => {
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const offset = Math.min(Math.max(parseInt(req.query.offset) || 0, 0), MAX_RESULTS_OFFSET);
+
+  if ((req.query.from && from === null) || (req.query.to && to === null)) {
+    return res.status(400).json({
+      error: "Invalid date range. Use ISO 8601 dates or epoch milliseconds",
+    });
+  }
+
+  resultStore.list({ from, to, type: req.query.type || null, limit, offset }, (error, page) => {
+    if (error) {
+      console.error("Result query error:", error);
+      return res.status(500).json({ error: "Failed to query results", details: error.message });
+    }
+
+    res.json({
+      success: true,
+      total: page.total,
+      limit,
+      offset,
+      results: page.results.map(publicResult),
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
+// A single stored result
+app.get("/api/results/:id", (req, res) => {
+  resultStore.get(req.params.id, (error, record) => {
+    if (error) {
+      console.error("Result lookup error:", error);
+      return res.status(500).json({ error: "Failed to load result", details: error.message });
+    }
+
+    if (!record) {
+      return res.status(404).json({ error: "Result not found", id: req.params.id });
+    }
+
+    res.json({
+      success: true,
+      result: publicResult(record),
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
+// Shareable result: the stored record, returned only if its signature still holds
+app.get("/api/share/:id", (req, res) => {
+  resultStore.get(req.params.id, (error, record) => {
+    if (error) {
+      console.error("Shared result lookup error:", error);
+      return res.status(500).json({ error: "Failed to load result", details: error.message });
+    }
+
+    if (!record) {
+      return res.status(404).json({ error: "Result not found", id: req.params.id });
+    }
+
+    if (!resultSigner.verify(record, record.signature)) {
+      return res.status(422).json({ error: "Stored result failed signature verification", id: req.params.id });
+    }
+
+    res.json({
+      success: true,
+      verified: true,
+      result: {
+        id: record.id,
+        type: record.type,
+        createdAt: record.createdAt,
+        recordedAt: record.recordedAt,
+        stats: record.stats,
+        signature: record.signature,
+      },
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
+// Third-party verification. With claimed values ({ id, type, createdAt, stats })
+// the signature is checked against them; with only an id it is checked against
+// the stored record.
+app.post("/api/share/verify", (req, res) => {
+  const body = req.body || {};
+
+  if (!body.id || typeof body.signature !== "string") {
+    return res.status(400).json({ error: "Expected an id and signature" });
+  }
+
+  if (body.stats !== undefined) {
+    return res.json({
+      success: true,
+      valid: resultSigner.verify(body, body.signature),
+      checked: "claimed",
+      id: body.id,
+      server: SERVER_INFO.name,
+    });
+  }
+
+  resultStore.get(String(body.id), (error, record) => {
+    if (error) {
+      console.error("Result verification error:", error);
+      return res.status(500).json({ error: "Failed to load result", details: error.message });
+    }
+
+    if (!record) {
+      return res.status(404).json({ error: "Result not found", id: body.id });
+    }
+
+    const valid = record.signature === body.signature && resultSigner.verify(record, body.signature);
+    res.json({
+      success: true,
+      valid,
+      checked: "stored",
+      id: record.id,
+      result: valid ? { type: record.type, createdAt: record.createdAt, stats: record.stats } : undefined,
+      server: SERVER_INFO.name,
+    });
+  });
+});
+
+// WebSocket latency channel: timestamped ping/pong frames without HTTP overhead
+const handleLatencySocket = (socket, testSession, client) => {
+  const connection = {
+    id: crypto.randomBytes(8).toString("hex"),
+    startTime: getHighResolutionTime(),
+    count: 0,
+    interval: 0,
+    timeout: 0,
+    sent: 0,
+    lost: 0,
+    pending: new Map(),
+    measurements: [],
+    nextProbeTimer: null,
+    running: false,
+    recorded: false,
+  };
+
+  const send = (message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const buildSummary = () => {
+    const measurements = connection.measurements.slice().sort((a, b) => a.index - b.index);
+    return {
+      success: true,
+      connectionId: connection.id,
+      measurements,
+      statistics: buildProbeStatistics(measurements, connection.interval, connection.sent, connection.lost),
+      server: SERVER_INFO.name,
+    };
+  };
+
+  const stopProbes = () => {
+    clearTimeout(connection.nextProbeTimer);
+    connection.pending.forEach((probe) => clearTimeout(probe.timer));
+    connection.pending.clear();
+    connection.running = false;
+  };
+
+  // Persist each finished probe run, and keep it in the socket's test session
+  const recordRun = (summary) => {
+    if (connection.recorded || summary.measurements.length === 0) return;
+    connection.recorded = true;
+
+    if (testSession) {
+      testSessions.recordLatency(testSession, "websocket", {
+        rtt: summary.measurements.map(m => m.roundTripTime)
+      });
+    }
+    summary.share = shareableResult(saveResult("websocket", "/ws/latency", client, summary.statistics));
+  };
+
+  const checkDone = () => {
+    if (connection.running && connection.sent >= connection.count && connection.pending.size === 0) {
+      connection.running = false;
+      const summary = buildSummary();
+      recordRun(summary);
+      send({ type: "summary", data: summary });
+    }
+  };
+
+  const sendProbe = () => {
+    if (!connection.running || socket.readyState !== socket.OPEN) return;
+
+    const seq = connection.sent;
+    const serverSendTime = getHighResolutionTime();
+
+    // Probes that are never echoed count as lost
+    const timer = setTimeout(() => {
+      connection.pending.delete(seq);
+      connection.lost++;
+      checkDone();
+    }, connection.timeout);
+
+    connection.pending.set(seq, { serverSendTime, timer });
+    connection.sent++;
+    send({ type: "probe", seq, serverSendTime });
+
+    if (connection.sent < connection.count) {
+      connection.nextProbeTimer = setTimeout(sendProbe, connection.interval);
+    }
+  };
+
+  const handlers = {
+    // Client-initiated ping: echo immediately with server timestamps
+    ping: (message, receiveTime) => {
+      send({
+        type: "pong",
+        seq: message.seq,
+        clientSendTime: message.clientSendTime ?? null,
+        serverReceiveTime: receiveTime,
+        serverSendTime: getHighResolutionTime(),
+      });
+    },
+
+    // Start a server-issued probe run that the client echoes back
+    start: (message) => {
+      stopProbes();
+      connection.count = Math.min(parseInt(message.count) || 10, 1000);
+      connection.interval = Math.max(parseInt(message.interval) || 50, 5);
+      connection.timeout = Math.min(Math.max(parseInt(message.timeout) || 2000, 100), 10000);
+      connection.startTime = getHighResolutionTime();
+      connection.sent = 0;
+      connection.lost = 0;
+      connection.measurements = [];
+      connection.recorded = false;
+      connection.running = true;
+      send({
+        type: "started",
+        count: connection.count,
+        interval: connection.interval,
+        timeout: connection.timeout,
+      });
+      sendProbe();
+    },
+
+    // Client echo for a server-issued probe
+    echo: (message, receiveTime) => {
+      const seq = parseInt(message.seq);
+      const probe = connection.pending.get(seq);
+      if (!probe) {
+        send({ type: "error", error: "Probe already echoed, timed out or not yet sent", seq });
+        return;
+      }
+
+      clearTimeout(probe.timer);
+      connection.pending.delete(seq);
+
+      const measurement = {
+        index: seq,
+        timestamp: probe.serverSendTime,
+        timeSinceStart: parseFloat((probe.serverSendTime - connection.startTime).toFixed(3)),
+        roundTripTime: parseFloat((receiveTime - probe.serverSendTime).toFixed(3)),
+        serverProcessingTime: parseFloat((getHighResolutionTime() - receiveTime).toFixed(3))
+      };
+      connection.measurements.push(measurement);
+
+      send({
+        type: "measurement",
+        data: measurement,
+        progress: ((connection.measurements.length + connection.lost) / connection.count) * 100
+      });
+      checkDone();
+    },
+
+    // Summary of everything measured on this connection so far
+    summary: () => {
+      stopProbes();
+      const summary = buildSummary();
+      recordRun(summary);
+      send({ type: "summary", data: summary });
+    },
+  };
+
+  socket.on("message", (raw) => {
+    const receiveTime = getHighResolutionTime();
+    let message;
+
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      send({ type: "error", error: "Invalid message. Expected JSON" });
+      return;
+    }
+
+    // Own keys only, so "valueOf" and friends are unknown types rather than prototype methods
+    const type = message && typeof message === "object" ? message.type : undefined;
+    if (typeof type !== "string" || !Object.hasOwn(handlers, type)) {
+      send({ type: "error", error: "Unknown message type", received: type === undefined ? null : type });
+      return;
+    }
+
+    // A malformed frame must never take the server down
+    try {
+      handlers[type](message, receiveTime);
+    } catch (error) {
+      console.error("Latency socket message error:", error);
+      send({ type: "error", error: "Invalid message", received: type });
+    }
+  });
+
+  socket.on("close", stopProbes);
+  socket.on("error", (error) => {
+    console.error("Latency socket error:", error);
+    stopProbes();
+  });
+
+  send({
+    type: "hello",
+    connectionId: connection.id,
+    serverTime: getHighResolutionTime(),
+    server: SERVER_INFO.name,
+  });
+};
+
+// Open a UDP echo measurement session
+app.post("/api/udp/session", (req, res) => {
+  const port = udpEcho.getPort();
+  if (!port) {
+    return res.status(503).json({ error: "UDP echo service is not available" });
+  }
+
+  const session = udpEcho.createSession(req.body || {});
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    token: session.token,
+    port,
+    packetSize: session.packetSize,
+    rate: session.rate,
+    count: session.count,
+    duration: round((session.count / session.rate) * 1000),
+    packetFormat: {
+      token: "bytes 0-7",
+      sequence: "bytes 8-11, uint32 big-endian",
+      clientSendTime: "bytes 12-19, float64 big-endian (ms)",
+      serverReceiveTime: "bytes 20-27, float64 big-endian (ms), set by server on echo",
+      headerSize: udpEcho.HEADER_SIZE,
+    },
+    server: SERVER_INFO.name,
+  });
+});
+
+// Packet loss, reordering, duplicates and jitter for a UDP session
+app.get("/api/udp/session/:id", (req, res) => {
+  const session = udpEcho.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "UDP session not found" });
+  }
+
+  res.json({
+    success: true,
+    ...udpEcho.buildResults(session),
+    server: SERVER_INFO.name,
+  });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error("Server error:", error);
@@ -997,25 +2575,65 @@ const server = app.listen(PORT, () => {
   console.log(`💻 System: ${SERVER_INFO.platform} (${SERVER_INFO.arch})`);
   console.log(`⚡ Cores: ${SERVER_INFO.cores}`);
   console.log(`🧠 Memory: ${SERVER_INFO.memory}`);
-  console.log(`📊 Max file size: 10MB`);
+  console.log(`📍 Location: ${SERVER_INFO.location}${SERVER_INFO.region ? ` (${SERVER_INFO.region})` : ""}`);
+  console.log(`⚙️  Config: ${configSources.file || "defaults"}`);
+  console.log(`📊 Max file size: ${config.limits.maxUploadSize}MB`);
+  console.log(`📶 UDP echo port: ${UDP_PORT}`);
+  console.log(`💾 Results backend: ${resultStore.backend}`);
   console.log(`\n📋 Available Endpoints:`);
   console.log(`   GET  /api/ping                    - Basic ping test`);
   console.log(`   GET  /api/ping-realtime           - Real-time ping with processing delay`);
-  console.log(`   GET  /api/jitter                  - Comprehensive jitter test`);
+  console.log(`   POST /api/clock-sync/session      - Start a clock-sync session`);
+  console.log(`   GET  /api/clock-sync/probe        - Four-timestamp clock probe`);
+  console.log(`   POST /api/clock-sync/:id/complete - Report probe receive times`);
+  console.log(`   GET  /api/jitter-probe            - Server-issued jitter probes (SSE)`);
+  console.log(`   GET  /api/jitter-realtime         - Alias of /api/jitter-probe`);
+  console.log(`   GET  /api/jitter-echo             - Echo a jitter probe`);
+  console.log(`   GET  /api/jitter                  - Jitter results for a probe session`);
   console.log(`   GET  /api/info                    - Server information`);
+  console.log(`   GET  /api/servers                 - Server directory`);
+  console.log(`   POST /api/servers/select          - Choose the best server`);
+  console.log(`   GET  /api/servers/health          - Peer health status`);
+  console.log(`   GET  /metrics                     - Prometheus metrics`);
+  console.log(`   WS   /ws/latency                  - WebSocket ping/pong latency channel`);
   console.log(`   GET  /api/latency-advanced        - Advanced latency test`);
   console.log(`   GET  /api/warmup-advanced         - Connection warmup`);
-  console.log(`   GET  /api/download/:size          - Download test (0.1-10MB)`);
+  console.log(`   GET  /api/download/:size          - Streamed download test (MB)`);
+  console.log(`   GET  /api/download-stream         - Duration-bounded download`);
+  console.log(`   POST /api/download-multi/session  - Multi-stream download session`);
+  console.log(`   GET  /api/download-progress       - Download throughput samples (SSE)`);
+  console.log(`   POST /api/impairment/session      - Seeded network impairment profile`);
+  console.log(`   POST /api/compression-test/session - Compression detection test`);
   console.log(`   GET  /api/download-adaptive       - Adaptive download test`);
-  console.log(`   POST /api/upload                  - Upload test (max 10MB)`);
+  console.log(`   POST /api/upload                  - Upload test (max ${config.limits.maxUploadSize}MB)`);
   console.log(`   POST /api/upload-multi            - Multi-connection upload`);
+  console.log(`   POST /api/upload-stream           - Streaming upload (any size)`);
+  console.log(`   POST /api/sessions                - Create a test session`);
+  console.log(`   POST /api/sessions/:id/finish     - Finish a test session`);
+  console.log(`   GET  /api/sessions/:id            - Test session report`);
+  console.log(`   GET  /api/results                 - Stored result history`);
+  console.log(`   GET  /api/results/:id             - A single stored result`);
+  console.log(`   GET  /api/share/:id               - Verified shareable result`);
+  console.log(`   POST /api/share/verify            - Verify a result signature`);
+  console.log(`   POST /api/loaded-latency/session  - Start a bufferbloat session`);
+  console.log(`   GET  /api/loaded-latency/ping     - Chained latency probe`);
+  console.log(`   GET  /api/loaded-latency/:id      - Idle vs. loaded latency report`);
+  console.log(`   POST /api/udp/session             - Open a UDP echo session`);
+  console.log(`   GET  /api/udp/session/:id         - UDP loss and jitter results`);
   console.log(`\n✅ Server ready for testing!\n`);
 });
 
+// UDP echo service alongside the HTTP server
+udpEcho.start(UDP_PORT);
+
+// Peer health checks run for as long as the server does
+peerHealth.start();
+
 // Server optimization
-server.keepAliveTimeout = 60000; // Reduced from 120000
-server.headersTimeout = 65000; // Reduced from 125000
-server.timeout = 120000; // Reduced from 300000
+server.keepAliveTimeout = config.timeouts.keepAlive;
+server.headersTimeout = config.timeouts.headers; // Must exceed keepAliveTimeout
+server.timeout = config.timeouts.request;
+server.requestTimeout = config.timeouts.requestBody; // Whole request; 0 lets streaming uploads run as long as they flow
 
 // TCP optimization
 server.on("connection", (socket) => {
@@ -1023,6 +2641,33 @@ server.on("connection", (socket) => {
   socket.setKeepAlive(true, 30000); // Reduced from 60000
 });
 
+// WebSocket latency channel on the same HTTP server
+// Latency messages are small JSON objects; anything larger is refused with close code 1009
+const MAX_SOCKET_MESSAGE = 4 * 1024;
+const latencySocketServer = new WebSocketServer({ server, path: "/ws/latency", maxPayload: MAX_SOCKET_MESSAGE });
+latencySocketServer.on("connection", (socket, request) => {
+  request.socket.setNoDelay(true);
+  metrics.trackStream("websocket", socket);
+
+  const url = new URL(request.url, "http://localhost");
+  const sessionId = url.searchParams.get("testSession");
+  const testSession = testSessions.getSession(sessionId);
+  if (sessionId && !testSession) {
+    socket.close(1008, "Test session not found");
+    return;
+  }
+  if (testSession && !testSessions.isActive(testSession)) {
+    socket.close(1008, "Test session already finished");
+    return;
+  }
+
+  handleLatencySocket(socket, testSession, {
+    ip: request.socket.remoteAddress || null,
+    userAgent: request.headers["user-agent"] || null,
+    testSessionId: testSession ? testSession.id : null,
+  });
+});
+
 module.exports = app;
 // working code 
 // const express = require("express");
@@ -0,0 +1,247 @@
+// Adaptive download: the amount of data in flight is grown while measured
+// throughput keeps improving, and the test ends once the estimate holds
+// steady within a tolerance. Throughput is counted from bytes the response
+// has actually flushed, not bytes queued on it.
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { readTestData, normalizePattern } = require("./testDataStream");
+const { round, mean } = require("./statistics");
+const { toMbps } = require("./uploadTiming");
+
+const reports = new Map();
+const REPORT_TTL = 10 * 60 * 1000; // Reports expire after 10 minutes
+const CHUNK_SIZE = 64 * 1024;
+const INITIAL_WINDOW = 256 * 1024;
+const MAX_WINDOW = 8 * 1024 * 1024;
+const MAX_QUEUED_TOTAL = 256 * 1024 * 1024; // Unflushed bytes across all adaptive downloads
+const PLATEAU_SAMPLES = 2; // Samples without improvement before the window stops growing
+
+// Queued bytes are shared across responses, so a client that stops reading
+// cannot pin memory beyond MAX_QUEUED_TOTAL however many connections it opens.
+// Past that limit every response may still keep its initial window in flight,
+// so stalled clients cannot starve the others. Pumps held back by the shared
+// limit resume as soon as any response flushes.
+let queuedTotal = 0;
+const waitingPumps = new Set();
+
+const releaseQueued = (bytes) => {
+  queuedTotal -= bytes;
+  if (waitingPumps.size === 0 || queuedTotal >= MAX_QUEUED_TOTAL) return;
+  const pumps = Array.from(waitingPumps);
+  waitingPumps.clear();
+  pumps.forEach((pump) => pump());
+};
+
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
+
+// Clamp the tunables a client may pass on the query string
+const parseOptions = (query) => ({
+  tolerance: Math.min(Math.max(parseFloat(query.tolerance) || 5, 1), 50) / 100,
+  interval: Math.min(Math.max(parseInt(query.interval) || 250, 50), 2000),
+  stableSamples: Math.min(Math.max(parseInt(query.stableSamples) || 4, 2), 20),
+});
+
+// Write test data to `res` until the estimate stabilizes or a bound is hit.
+// Calls back once with the report when the response closes.
+const runAdaptiveDownload = (res, options, callback) => {
+  const state = {
+    id: crypto.randomBytes(8).toString("hex"),
+    pattern: normalizePattern(options.pattern),
+    seed: options.seed || null,
+    maxBytes: options.maxBytes,
+    duration: options.duration,
+    tolerance: options.tolerance,
+    interval: options.interval,
+    stableSamples: options.stableSamples,
+    startTime: getHighResolutionTime(),
+    bucket: options.bucket || null,
+    window: INITIAL_WINDOW,
+    written: 0,
+    flushed: 0,
+    drains: 0,
+    backpressured: false,
+    maxInFlight: 0,
+    waitingForTokens: false,
+    growing: true,
+    bestMbps: 0,
+    sinceImprovement: 0,
+    lastGrowthSample: 0,
+    plateau: null,
+    stabilization: null,
+    stopReason: null,
+    samples: [],
+    lastSampleTime: null,
+    lastSampleBytes: 0,
+    timer: null,
+    tokenTimer: null,
+    done: false,
+    released: false,
+  };
+
+  const stop = (reason) => {
+    if (state.done) return;
+    state.done = true;
+    state.stopReason = reason;
+    clearInterval(state.timer);
+    clearTimeout(state.tokenTimer);
+    if (!res.destroyed) res.end();
+  };
+
+  const canWrite = () => !state.done && !state.waitingForTokens && state.written - state.flushed < state.window;
+
+  // Keep up to `window` bytes written but not yet flushed. The window and the
+  // shared queue limit are the only limits: writes continue past the socket's
+  // highWaterMark, and each flushed chunk's write callback makes room for the next.
+  const pump = () => {
+    while (canWrite()) {
+      if (queuedTotal >= MAX_QUEUED_TOTAL && state.written - state.flushed >= INITIAL_WINDOW) {
+        waitingPumps.add(pump);
+        return;
+      }
+
+      const remaining = state.maxBytes - state.written;
+      if (remaining <= 0) return stop("max-size");
+
+      const chunkSize = state.bucket ? state.bucket.sliceSize : CHUNK_SIZE;
+      const chunk = readTestData(state.pattern, state.written, Math.min(chunkSize, remaining), state.seed);
+      state.written += chunk.length;
+      queuedTotal += chunk.length;
+      state.maxInFlight = Math.max(state.maxInFlight, state.written - state.flushed);
+
+      // When shaped, hold further writes until the bucket has refilled
+      const delay = state.bucket ? state.bucket.consume(chunk.length) : 0;
+      if (delay > 0) {
+        state.waitingForTokens = true;
+        state.tokenTimer = setTimeout(() => {
+          state.waitingForTokens = false;
+          pump();
+        }, delay);
+      }
+
+      const ok = res.write(chunk, (error) => {
+        if (error || state.released) return;
+        state.flushed += chunk.length;
+        releaseQueued(chunk.length);
+        if (options.onFlush) options.onFlush(chunk.length);
+        pump();
+      });
+
+      // Drains are reported, not waited for
+      if (!ok && !state.backpressured) {
+        state.backpressured = true;
+        res.once("drain", () => {
+          state.drains++;
+          state.backpressured = false;
+        });
+      }
+    }
+  };
+
+  const sample = () => {
+    const now = getHighResolutionTime();
+    const speedMbps = toMbps(state.flushed - state.lastSampleBytes, now - state.lastSampleTime);
+    state.lastSampleTime = now;
+    state.lastSampleBytes = state.flushed;
+
+    state.samples.push({
+      time: round(now - state.startTime),
+      bytes: state.flushed,
+      speedMbps: round(speedMbps),
+      window: state.window,
+      inFlight: state.written - state.flushed,
+      drains: state.drains,
+    });
+
+    if (state.growing) {
+      // Grow while each larger window still buys more than the tolerance
+      if (speedMbps > state.bestMbps * (1 + state.tolerance)) {
+        state.bestMbps = speedMbps;
+        state.sinceImprovement = 0;
+        if (state.window < MAX_WINDOW) {
+          state.window = Math.min(state.window * 2, MAX_WINDOW);
+          state.lastGrowthSample = state.samples.length;
+        }
+      } else if (++state.sinceImprovement >= PLATEAU_SAMPLES) {
+        state.growing = false;
+        state.plateau = { time: round(now - state.startTime), window: state.window };
+      }
+    }
+
+    // Stable once the last N samples, all taken at the final window size,
+    // sit within the tolerance of their mean
+    const recent = state.samples.slice(-state.stableSamples);
+    const settled = state.samples.length - state.lastGrowthSample >= state.stableSamples;
+    if (!state.growing && settled && recent.length === state.stableSamples) {
+      const speeds = recent.map((s) => s.speedMbps);
+      const average = mean(speeds);
+      const deviation = Math.max(...speeds.map((s) => Math.abs(s - average)));
+      if (average > 0 && deviation / average <= state.tolerance) {
+        state.stabilization = {
+          time: round(now - state.startTime),
+          bytes: state.flushed,
+          speedMbps: round(average),
+          window: state.window,
+          maxDeviation: round((deviation / average) * 100),
+        };
+        return stop("stabilized");
+      }
+    }
+
+    if (now - state.startTime >= state.duration) stop("duration");
+  };
+
+  const buildReport = () => {
+    const duration = getHighResolutionTime() - state.startTime;
+    return {
+      id: state.id,
+      pattern: state.pattern,
+      stopReason: state.stopReason || "client-closed",
+      stabilized: state.stabilization !== null,
+      stabilization: state.stabilization,
+      plateau: state.plateau,
+      finalWindow: state.window,
+      maxInFlight: state.maxInFlight,
+      totalBytes: state.flushed,
+      duration: round(duration),
+      averageSpeedMbps: round(toMbps(state.flushed, duration)),
+      drains: state.drains,
+      targetRateMbps: state.bucket ? state.bucket.rateMbps : null,
+      tolerance: round(state.tolerance * 100),
+      interval: state.interval,
+      stableSamples: state.stableSamples,
+      samples: state.samples,
+    };
+  };
+
+  res.on("close", () => {
+    state.done = true;
+    clearInterval(state.timer);
+    clearTimeout(state.tokenTimer);
+    waitingPumps.delete(pump);
+    state.released = true;
+    releaseQueued(state.written - state.flushed);
+
+    const report = buildReport();
+    reports.set(state.id, report);
+    setTimeout(() => reports.delete(state.id), REPORT_TTL).unref();
+    callback(report);
+  });
+
+  // Clients look the report up by this id once the body ends
+  res.setHeader("X-Adaptive-Id", state.id);
+  state.lastSampleTime = state.startTime;
+  state.timer = setInterval(sample, state.interval);
+  pump();
+  return state.id;
+};
+
+const getReport = (id) => reports.get(id) || null;
+
+module.exports = {
+  MAX_WINDOW,
+  parseOptions,
+  runAdaptiveDownload,
+  getReport,
+};
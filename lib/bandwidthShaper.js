@@ -0,0 +1,78 @@
+// Token-bucket bandwidth shaping, so a download can be served at a known
+// target rate and a client's measurement checked against it
+const { Transform } = require("stream");
+const { performance } = require("perf_hooks");
+
+const MIN_SLICE = 1024;
+const MAX_SLICE = 64 * 1024;
+
+// Mbps uses the same 1024 * 1024 convention as toMbps
+const mbpsToBytesPerSecond = (mbps) => (mbps * 1024 * 1024) / 8;
+
+class TokenBucket {
+  constructor({ rateMbps, burst }) {
+    this.rateMbps = rateMbps;
+    this.rate = mbpsToBytesPerSecond(rateMbps); // bytes per second
+    // Slices of ~5ms worth of data keep the output smooth at any rate
+    this.sliceSize = Math.min(Math.max(Math.round(this.rate * 0.005), MIN_SLICE), MAX_SLICE);
+    this.burst = burst || Math.max(Math.round(this.rate * 0.01), this.sliceSize);
+    this.tokens = this.burst;
+    this.lastRefill = performance.now();
+  }
+
+  refill() {
+    const now = performance.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  // Take `bytes` tokens, going into debt if needed, and return how many ms
+  // to wait before sending more. Debt keeps the long-run rate exact even
+  // when timers fire late.
+  consume(bytes) {
+    this.refill();
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : (-this.tokens / this.rate) * 1000;
+  }
+}
+
+// Transform that releases data no faster than its bucket allows
+class ShapedStream extends Transform {
+  constructor(bucket, options = {}) {
+    super(options);
+    this.bucket = bucket;
+    this.timer = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    let offset = 0;
+
+    const next = () => {
+      if (this.destroyed) return;
+      if (offset >= chunk.length) return callback();
+
+      const slice = chunk.subarray(offset, offset + this.bucket.sliceSize);
+      offset += slice.length;
+      this.push(slice);
+
+      const delay = this.bucket.consume(slice.length);
+      if (delay > 0) {
+        this.timer = setTimeout(next, delay);
+      } else {
+        next();
+      }
+    };
+
+    next();
+  }
+
+  _destroy(error, callback) {
+    clearTimeout(this.timer);
+    callback(error);
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  ShapedStream,
+};
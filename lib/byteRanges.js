@@ -0,0 +1,155 @@
+// HTTP byte ranges over generated test data. Bodies are a pure function of
+// (pattern, seed, offset), so any slice can be served without the rest.
+const { Readable } = require("stream");
+const crypto = require("crypto");
+const { readTestData, normalizePattern } = require("./testDataStream");
+const { SEEDED_PATTERN } = require("./seededPattern");
+
+const MAX_RANGES = 50; // More than this and the Range header is ignored
+const CHUNK_SIZE = 64 * 1024;
+
+// Pooled patterns are only stable for the life of this process
+const INSTANCE_ID = crypto.randomBytes(8).toString("hex");
+const INSTANCE_STARTED = new Date();
+INSTANCE_STARTED.setMilliseconds(0); // HTTP dates have second precision
+
+// Strong validator for a generated body, suitable for If-Range
+const entityTag = (pattern, seed, size) => {
+  const normalized = normalizePattern(pattern);
+  const identity = normalized === SEEDED_PATTERN ? `seed:${seed}` : `instance:${INSTANCE_ID}`;
+  const digest = crypto.createHash("sha256").update(`${normalized}|${identity}|${size}`).digest("hex");
+  return `"${digest.substring(0, 32)}"`;
+};
+
+const lastModified = () => INSTANCE_STARTED.toUTCString();
+
+// If-Range holds either an entity tag or a date; only an exact match allows a partial response
+const ifRangeMatches = (ifRange, etag) => {
+  if (ifRange === undefined) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) return ifRange === etag;
+
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && date === INSTANCE_STARTED.getTime();
+};
+
+// Overlapping and adjacent ranges are coalesced (RFC 9110 section 14.2), so a
+// header repeating the same range cannot multiply one download. Ranges come
+// back in ascending order.
+const coalesceRanges = (ranges) => {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const merged = [sorted[0]];
+  for (const range of sorted.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push(range);
+  }
+  return merged;
+};
+
+// Parse a Range header against a body of `size` bytes. Returns null when the
+// header should be ignored, { unsatisfiable: true } when no range overlaps
+// the body, or { ranges: [{ start, end }] } with inclusive ends.
+const parseRange = (header, size) => {
+  if (typeof header !== "string") return null;
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(",").map((spec) => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === "" && parts[2] === "")) return null;
+
+    let start;
+    let end;
+    if (parts[1] === "") {
+      // Suffix range: the last N bytes
+      const suffix = parseInt(parts[2], 10);
+      if (suffix === 0) continue;
+      start = Math.max(size - suffix, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === "" ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== "" && parseInt(parts[2], 10) < start) return null;
+    }
+
+    if (start < size) ranges.push({ start, end });
+  }
+
+  return ranges.length > 0 ? { ranges: coalesceRanges(ranges) } : { unsatisfiable: true };
+};
+
+const contentRange = (range, size) => `bytes ${range.start}-${range.end}/${size}`;
+
+const partHeader = (boundary, contentType, range, size) =>
+  `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: ${contentRange(range, size)}\r\n\r\n`;
+
+const closingBoundary = (boundary) => `\r\n--${boundary}--\r\n`;
+
+// Exact length of a multipart/byteranges body, for Content-Length
+const multipartLength = ({ boundary, contentType, ranges, size }) =>
+  ranges.reduce((total, range) => {
+    const header = Buffer.byteLength(partHeader(boundary, contentType, range, size));
+    return total + header + range.end - range.start + 1;
+  }, Buffer.byteLength(closingBoundary(boundary)));
+
+// multipart/byteranges body: each range's part header followed by its data
+class ByteRangesStream extends Readable {
+  constructor({ pattern, seed, size, ranges, boundary, contentType }) {
+    super({ highWaterMark: 4 * CHUNK_SIZE });
+    this.pattern = normalizePattern(pattern);
+    this.seed = seed || null;
+    this.size = size;
+    this.ranges = ranges;
+    this.boundary = boundary;
+    this.contentType = contentType;
+    this.index = 0;
+    this.offset = null; // Next byte of the current range, null before its header
+  }
+
+  _read() {
+    for (;;) {
+      if (this.index >= this.ranges.length) {
+        this.push(Buffer.from(closingBoundary(this.boundary)));
+        this.push(null);
+        return;
+      }
+
+      const range = this.ranges[this.index];
+      let chunk;
+      if (this.offset === null) {
+        chunk = Buffer.from(partHeader(this.boundary, this.contentType, range, this.size));
+        this.offset = range.start;
+      } else {
+        const length = Math.min(CHUNK_SIZE, range.end + 1 - this.offset);
+        chunk = readTestData(this.pattern, this.offset, length, this.seed);
+        this.offset += chunk.length;
+      }
+
+      if (this.offset > range.end) {
+        this.index++;
+        this.offset = null;
+      }
+
+      if (!this.push(chunk)) return;
+    }
+  }
+}
+
+const createBoundary = () => crypto.randomBytes(12).toString("hex");
+
+module.exports = {
+  MAX_RANGES,
+  entityTag,
+  lastModified,
+  ifRangeMatches,
+  parseRange,
+  contentRange,
+  multipartLength,
+  createBoundary,
+  ByteRangesStream,
+};
@@ -0,0 +1,171 @@
+// NTP-style clock synchronisation between a client and this server.
+// Each probe yields the four classic timestamps:
+//   t0 client send, t1 server receive, t2 server send, t3 client receive
+// offset = ((t1 - t0) + (t2 - t3)) / 2   (server clock minus client clock)
+// delay  = (t3 - t0) - (t2 - t1)
+const crypto = require("crypto");
+const { round } = require("./statistics");
+
+const sessions = new Map();
+const SESSION_TTL = 30 * 60 * 1000; // Sessions expire after 30 minutes
+const MAX_PROBES = 500;
+const MAX_SAMPLES = 500; // Completed probes kept per session; the oldest are dropped first
+const MAX_REMEMBERED_PINGS = 100;
+const MIN_FILTERED_SAMPLES = 3;
+const MIN_DRIFT_SPAN = 10000; // Drift is noise over shorter windows (ms)
+
+const createSession = (now) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    probes: new Map(),
+    samples: [],
+    estimate: null,
+    pings: new Map(),
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => sessions.delete(session.id), SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+// Server side of a probe: remember t0, t1 and t2 until the client reports t3
+const recordProbe = (session, seq, t0, t1, t2) => {
+  if (session.probes.size >= MAX_PROBES) return false;
+  session.probes.set(seq, { t0, t1, t2 });
+  return true;
+};
+
+// Least-squares slope of offset over client time
+const slope = (samples) => {
+  const n = samples.length;
+  const meanX = samples.reduce((sum, s) => sum + s.t0, 0) / n;
+  const meanY = samples.reduce((sum, s) => sum + s.offset, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+
+  samples.forEach((s) => {
+    numerator += (s.t0 - meanX) * (s.offset - meanY);
+    denominator += Math.pow(s.t0 - meanX, 2);
+  });
+
+  return denominator > 0 ? numerator / denominator : 0;
+};
+
+// Minimum-delay filter: only the fastest exchanges are trusted for the offset,
+// since queueing delay is what makes the two directions asymmetric
+const estimate = (session) => {
+  if (session.samples.length === 0) return null;
+
+  const byDelay = session.samples.slice().sort((a, b) => a.delay - b.delay);
+  const keep = Math.max(MIN_FILTERED_SAMPLES, Math.ceil(byDelay.length / 4));
+  const filtered = byDelay.slice(0, keep).sort((a, b) => a.t0 - b.t0);
+  const best = byDelay[0];
+  const span = filtered[filtered.length - 1].t0 - filtered[0].t0;
+  const drift = filtered.length >= MIN_FILTERED_SAMPLES && span >= MIN_DRIFT_SPAN ? slope(filtered) : 0;
+
+  session.estimate = {
+    offset: best.offset,
+    drift,
+    referenceTime: best.t0,
+    minimumDelay: best.delay,
+    samples: session.samples.length,
+    used: filtered.length,
+  };
+
+  return session.estimate;
+};
+
+// Client side of the probes: match reported t3 values to the recorded probes
+const completeProbes = (session, reports) => {
+  let accepted = 0;
+
+  reports.forEach((report) => {
+    if (!report || typeof report !== "object") return;
+
+    const seq = parseInt(report.seq);
+    const t3 = parseFloat(report.t3);
+    const probe = session.probes.get(seq);
+    if (!probe || isNaN(t3) || t3 < probe.t0) return;
+
+    session.probes.delete(seq);
+    session.samples.push({
+      seq,
+      t0: probe.t0,
+      t1: probe.t1,
+      t2: probe.t2,
+      t3,
+      offset: ((probe.t1 - probe.t0) + (probe.t2 - t3)) / 2,
+      delay: (t3 - probe.t0) - (probe.t2 - probe.t1),
+    });
+    if (session.samples.length > MAX_SAMPLES) session.samples.shift();
+    accepted++;
+  });
+
+  estimate(session);
+  return accepted;
+};
+
+// Offset (server minus client) at a given client time, drift included
+const offsetAt = (session, clientTime) => {
+  const { offset, drift, referenceTime } = session.estimate;
+  return offset + drift * (clientTime - referenceTime);
+};
+
+// Remember when a ping response left so the next ping can report its downstream delay
+const rememberPing = (session, seq, serverSendTime) => {
+  session.pings.set(seq, serverSendTime);
+  if (session.pings.size > MAX_REMEMBERED_PINGS) {
+    session.pings.delete(session.pings.keys().next().value);
+  }
+};
+
+// Offset-corrected one-way delays for a ping within a synchronised session
+const oneWayDelays = (session, { clientSendTime, serverReceiveTime, prevSeq, prevReceiveTime }) => {
+  if (!session || !session.estimate) return null;
+
+  let upstream = null;
+  if (clientSendTime && !isNaN(clientSendTime)) {
+    upstream = serverReceiveTime - (clientSendTime + offsetAt(session, clientSendTime));
+  }
+
+  let downstream = null;
+  const previousSendTime = session.pings.get(prevSeq);
+  if (previousSendTime !== undefined && prevReceiveTime && !isNaN(prevReceiveTime)) {
+    downstream = (prevReceiveTime + offsetAt(session, prevReceiveTime)) - previousSendTime;
+  }
+
+  return {
+    offset: round(offsetAt(session, clientSendTime || session.estimate.referenceTime)),
+    driftPpm: round(session.estimate.drift * 1e6, 2),
+    upstream: round(upstream),
+    downstream: round(downstream),
+  };
+};
+
+const describe = (session) => ({
+  sessionId: session.id,
+  pendingProbes: session.probes.size,
+  estimate: session.estimate
+    ? {
+        offset: round(session.estimate.offset),
+        driftPpm: round(session.estimate.drift * 1e6, 2),
+        minimumDelay: round(session.estimate.minimumDelay),
+        samples: session.estimate.samples,
+        used: session.estimate.used,
+      }
+    : null,
+});
+
+module.exports = {
+  createSession,
+  getSession,
+  recordProbe,
+  completeProbes,
+  estimate,
+  rememberPing,
+  oneWayDelays,
+  describe,
+};
@@ -0,0 +1,229 @@
+// Compression detection. The same amount of compressible and incompressible
+// data is served with and without gzip; the client reports what it actually
+// received, and differences between what was sent and what arrived show
+// whether something on the path compresses, rewrites or inspects traffic.
+const crypto = require("crypto");
+const { readPattern } = require("./testDataStream");
+const { round } = require("./statistics");
+const { toMbps } = require("./uploadTiming");
+
+const sessions = new Map();
+const SESSION_TTL = 10 * 60 * 1000; // Sessions expire after 10 minutes
+const PATTERNS = ["compressible", "incompressible"];
+const ENCODINGS = ["identity", "gzip"];
+const LEGS = PATTERNS.flatMap((pattern) => ENCODINGS.map((encoding) => `${pattern}-${encoding}`));
+const SPEEDUP_THRESHOLD = 1.5; // Compressible data this much faster than incompressible is suspicious
+const SHRINK_THRESHOLD = 0.9; // Fewer wire bytes than this share of an identity body means compression
+const PROXY_HEADERS = ["via", "x-forwarded-for", "forwarded", "x-bluecoat-via", "x-proxy-id"];
+const FORWARDING_HEADERS = ["x-forwarded-for", "forwarded"]; // Also set by a trusted reverse proxy
+const DIGEST_SLICE = 1024 * 1024; // Bytes hashed per event loop turn
+const MAX_REPORT_STRING = 256;
+
+// What a client may report for each leg, and the type of each field
+const REPORT_FIELDS = {
+  receivedBytes: "number",
+  encodedBytes: "number",
+  duration: "number",
+  sha256: "string",
+  contentEncoding: "string",
+  acceptEncodingSent: "string",
+};
+
+// Body digests depend only on (pattern, size), so each is computed once.
+// Entries hold the hex digest, or the callbacks waiting while it is computed.
+const digests = new Map();
+
+// Digest of the decoded body, so clients can tell whether content was altered.
+// Hashed in slices so a large body never blocks the event loop for long.
+const bodyDigest = (pattern, size, callback) => {
+  const key = `${pattern}:${size}`;
+  const cached = digests.get(key);
+  if (typeof cached === "string") return process.nextTick(callback, cached);
+  if (cached) return cached.push(callback);
+
+  const waiting = [callback];
+  digests.set(key, waiting);
+
+  const hash = crypto.createHash("sha256");
+  let offset = 0;
+  const step = () => {
+    const sliceEnd = Math.min(offset + DIGEST_SLICE, size);
+    while (offset < sliceEnd) {
+      const chunk = readPattern(pattern, offset, sliceEnd - offset);
+      hash.update(chunk);
+      offset += chunk.length;
+    }
+    if (offset < size) return setImmediate(step);
+
+    const digest = hash.digest("hex");
+    digests.set(key, digest);
+    waiting.forEach((waiter) => waiter(digest));
+  };
+  step();
+};
+
+// Calls back with the session once both body digests are known
+const createSession = ({ size, now }, callback) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    size,
+    digests: {},
+    served: {},
+    reported: null,
+  };
+
+  let pending = PATTERNS.length;
+  PATTERNS.forEach((pattern) =>
+    bodyDigest(pattern, size, (digest) => {
+      session.digests[pattern] = digest;
+      if (--pending > 0) return;
+
+      sessions.set(session.id, session);
+      setTimeout(() => sessions.delete(session.id), SESSION_TTL).unref();
+      callback(session);
+    })
+  );
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+const parseLeg = (leg) => {
+  if (!LEGS.includes(leg)) return null;
+  const [pattern, encoding] = leg.split("-");
+  return { pattern, encoding };
+};
+
+// What the server did for one leg, including request headers as they arrived
+const recordServed = (session, leg, entry) => {
+  session.served[leg] = entry;
+};
+
+// Checks a client report's legs. Returns { legs } or { error }; unknown legs
+// and fields are dropped so only what analyze understands is stored.
+const parseReport = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Report must include a legs object keyed by leg name" };
+  }
+
+  const legs = {};
+  for (const leg of LEGS) {
+    const entry = input[leg];
+    if (entry === undefined || entry === null) continue;
+    if (typeof entry !== "object" || Array.isArray(entry)) {
+      return { error: `Invalid report for ${leg}. Must be an object` };
+    }
+
+    legs[leg] = {};
+    for (const [key, type] of Object.entries(REPORT_FIELDS)) {
+      const value = entry[key];
+      if (value === undefined || value === null) continue;
+      if (type === "number" && !(typeof value === "number" && isFinite(value) && value >= 0)) {
+        return { error: `Invalid ${leg}.${key}. Must be a non-negative number` };
+      }
+      if (type === "string" && !(typeof value === "string" && value.length <= MAX_REPORT_STRING)) {
+        return { error: `Invalid ${leg}.${key}. Must be a string of at most ${MAX_REPORT_STRING} characters` };
+      }
+      legs[leg][key] = value;
+    }
+  }
+  return { legs };
+};
+
+const recordReport = (session, report) => {
+  session.reported = report;
+};
+
+const clientSpeed = (leg) =>
+  leg && leg.receivedBytes > 0 && leg.duration > 0 ? toMbps(leg.receivedBytes, leg.duration) : null;
+
+const analyze = (session) => {
+  const evidence = [];
+  const flags = { transparentCompression: false, contentModified: false, contentInspection: false };
+  const reported = (session.reported && session.reported.legs) || {};
+
+  const legs = LEGS.map((name) => {
+    const served = session.served[name] || null;
+    const client = reported[name] || null;
+    const { pattern } = parseLeg(name);
+    return {
+      leg: name,
+      served,
+      client,
+      clientSpeedMbps: round(clientSpeed(client)),
+      expectedDigest: session.digests[pattern],
+    };
+  });
+
+  legs.forEach(({ leg, served, client, expectedDigest }) => {
+    if (!served) return;
+
+    // Request headers the client sent versus what reached the server
+    const sent = client && typeof client.acceptEncodingSent === "string" ? client.acceptEncodingSent : null;
+    if (sent !== null && sent !== served.acceptEncodingReceived) {
+      flags.contentInspection = true;
+      evidence.push(`${leg}: Accept-Encoding was rewritten on the way in ("${sent}" -> "${served.acceptEncodingReceived}")`);
+    }
+    if (served.proxyHeaders.length > 0) {
+      flags.contentInspection = true;
+      evidence.push(`${leg}: request arrived with proxy headers (${served.proxyHeaders.join(", ")})`);
+    }
+
+    if (!client) return;
+
+    if (client.sha256 && client.sha256 !== expectedDigest) {
+      flags.contentModified = true;
+      evidence.push(`${leg}: body digest differs from what the server sent`);
+    }
+    if (typeof client.receivedBytes === "number" && client.receivedBytes !== session.size) {
+      flags.contentModified = true;
+      evidence.push(`${leg}: received ${client.receivedBytes} bytes, expected ${session.size}`);
+    }
+
+    const clientEncoding = (client.contentEncoding || "identity").toLowerCase();
+    if (clientEncoding !== served.encoding) {
+      flags.transparentCompression = flags.transparentCompression || clientEncoding !== "identity";
+      evidence.push(`${leg}: served as ${served.encoding} but arrived as ${clientEncoding}`);
+    }
+
+    // Bytes on the wire at the client for a body the server sent uncompressed
+    const encodedBytes = typeof client.encodedBytes === "number" ? client.encodedBytes : 0;
+    if (served.encoding === "identity" && encodedBytes > 0 && encodedBytes < session.size * SHRINK_THRESHOLD) {
+      flags.transparentCompression = true;
+      evidence.push(`${leg}: ${encodedBytes} bytes on the wire for a ${session.size} byte uncompressed body`);
+    }
+  });
+
+  // Identical sizes sent uncompressed should move at the same rate
+  const byName = Object.fromEntries(legs.map((leg) => [leg.leg, leg]));
+  const compressibleSpeed = byName["compressible-identity"].clientSpeedMbps;
+  const incompressibleSpeed = byName["incompressible-identity"].clientSpeedMbps;
+  const speedup = compressibleSpeed && incompressibleSpeed ? compressibleSpeed / incompressibleSpeed : null;
+  if (speedup !== null && speedup >= SPEEDUP_THRESHOLD) {
+    flags.transparentCompression = true;
+    evidence.push(`compressible data arrived ${round(speedup, 2)}x faster than incompressible data without gzip`);
+  }
+
+  return {
+    sessionId: session.id,
+    size: session.size,
+    complete: LEGS.every((leg) => session.served[leg]) && session.reported !== null,
+    legs,
+    identitySpeedup: round(speedup),
+    ...flags,
+    evidence,
+  };
+};
+
+module.exports = {
+  LEGS,
+  PROXY_HEADERS,
+  FORWARDING_HEADERS,
+  createSession,
+  getSession,
+  parseLeg,
+  parseReport,
+  recordServed,
+  recordReport,
+  analyze,
+};
@@ -0,0 +1,309 @@
+// Server configuration: built-in defaults, then an optional JSON config file,
+// then environment variables. Everything is validated at startup so a bad
+// deployment fails immediately instead of misbehaving later.
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_FILE = "config.json";
+
+// Every setting: where it lives in the config object, which environment
+// variable overrides it, how it is checked and its default
+const FIELDS = [
+  { key: "server.id", env: "SERVER_ID", type: "id", default: "local" },
+  { key: "server.name", env: "SERVER_NAME", type: "string", default: "Speed Test Server" },
+  { key: "server.location", env: "SERVER_LOCATION", type: "string", default: "Local" },
+  { key: "server.region", env: "SERVER_REGION", type: "string", default: null },
+  { key: "server.latitude", env: "SERVER_LATITUDE", type: "number", min: -90, max: 90, default: null },
+  { key: "server.longitude", env: "SERVER_LONGITUDE", type: "number", min: -180, max: 180, default: null },
+  { key: "server.sponsor", env: "SERVER_SPONSOR", type: "string", default: null },
+  { key: "server.sponsorUrl", env: "SERVER_SPONSOR_URL", type: "url", default: null },
+  { key: "server.url", env: "SERVER_URL", type: "url", default: null },
+  { key: "servers", env: "PEER_SERVERS", type: "servers", default: [] },
+  { key: "port", env: "PORT", type: "port", default: 3001 },
+  { key: "udpPort", env: "UDP_PORT", type: "port", default: 3002 },
+  {
+    key: "cors.origins",
+    env: "CORS_ORIGINS",
+    type: "origins",
+    default: [
+      "http://localhost:3000",
+      "https://splendid-brioche-ee2e1c.netlify.app",
+      "https://zemoz.fun",
+      "https://speedtestoffical.netlify.app",
+    ],
+  },
+  { key: "limits.minDownloadSize", env: "MIN_DOWNLOAD_SIZE", type: "number", min: 0.001, max: 1024, default: 0.1 },
+  { key: "limits.maxDownloadSize", env: "MAX_DOWNLOAD_SIZE", type: "number", min: 1, max: 1024 * 1024, default: 100 * 1024 },
+  { key: "limits.maxDownloadDuration", env: "MAX_DOWNLOAD_DURATION", type: "number", min: 1, max: 3600, default: 120 },
+  { key: "limits.maxUploadDuration", env: "MAX_UPLOAD_DURATION", type: "number", min: 1, max: 3600, default: 120 },
+  { key: "limits.maxUploadSize", env: "MAX_UPLOAD_SIZE", type: "number", min: 1, max: 1024, default: 10 },
+  { key: "limits.maxCompressionTestSize", env: "MAX_COMPRESSION_TEST_SIZE", type: "number", min: 1, max: 100, default: 25 },
+  { key: "timeouts.keepAlive", env: "KEEP_ALIVE_TIMEOUT", type: "integer", min: 1000, max: 600000, default: 60000 },
+  { key: "timeouts.headers", env: "HEADERS_TIMEOUT", type: "integer", min: 1000, max: 600000, default: 65000 },
+  { key: "timeouts.request", env: "REQUEST_TIMEOUT", type: "integer", min: 1000, max: 3600000, default: 120000 },
+  // Time allowed to receive a whole request. 0 means no limit; a stalled body
+  // is still cut off by the idle timeout (timeouts.request).
+  { key: "timeouts.requestBody", env: "REQUEST_BODY_TIMEOUT", type: "integer", min: 0, max: 7200000, default: 0 },
+  { key: "timeouts.uploadDrainGrace", env: "UPLOAD_DRAIN_GRACE", type: "integer", min: 0, max: 60000, default: 5000 },
+  { key: "healthCheck.interval", env: "HEALTH_CHECK_INTERVAL", type: "integer", min: 1000, max: 3600000, default: 15000 },
+  { key: "healthCheck.timeout", env: "HEALTH_CHECK_TIMEOUT", type: "integer", min: 100, max: 60000, default: 5000 },
+  { key: "healthCheck.failureThreshold", env: "HEALTH_CHECK_FAILURES", type: "integer", min: 1, max: 100, default: 3 },
+  // Reverse proxy hops in front of this server. Rate limits key on the client
+  // IP taken from X-Forwarded-For, so a count higher than the real number of
+  // proxies lets clients spoof that header and dodge every per-IP limit.
+  { key: "trustProxy", env: "TRUST_PROXY", type: "integer", min: 0, max: 10, default: 0 },
+  { key: "rateLimits.testsPerMinute", env: "RATE_LIMIT_TESTS_PER_MINUTE", type: "integer", min: 0, max: 100000, default: 120 },
+  { key: "rateLimits.concurrentStreams", env: "RATE_LIMIT_CONCURRENT_STREAMS", type: "integer", min: 0, max: 10000, default: 32 },
+  { key: "rateLimits.mbPerHour", env: "RATE_LIMIT_MB_PER_HOUR", type: "number", min: 0, max: 100 * 1024 * 1024, default: 20 * 1024 },
+  { key: "rateLimits.tokens", env: "RATE_LIMIT_TOKENS", type: "tokens", default: [] },
+  { key: "results.backend", env: "RESULTS_BACKEND", type: "enum", values: ["jsonl", "sqlite", "none"], default: "jsonl" },
+  { key: "results.path", env: "RESULTS_PATH", type: "string", default: null },
+  { key: "results.keyPath", env: "RESULT_KEY_PATH", type: "string", default: "data/signing.key" },
+];
+
+const getPath = (object, key) =>
+  key.split(".").reduce((value, part) => (value && typeof value === "object" ? value[part] : undefined), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+  target[last] = value;
+};
+
+// Config file keys that match no setting, usually typos
+const unknownKeys = (object, prefix = "") =>
+  Object.keys(object).flatMap((name) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const value = object[name];
+    if (FIELDS.some((field) => field.key === key)) return [];
+    if (value && typeof value === "object" && !Array.isArray(value) && FIELDS.some((field) => field.key.startsWith(`${key}.`))) {
+      return unknownKeys(value, key);
+    }
+    return [key];
+  });
+
+// An origin is scheme://host[:port]; a trailing slash is dropped rather than rejected
+const normalizeOrigin = (value) => {
+  if (value === "*") return value;
+  try {
+    const url = new URL(value);
+    return url.origin !== "null" && url.pathname === "/" && !url.search && !url.hash ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// One peer in the server directory. Returns [server, error]
+const validateServer = (entry, index) => {
+  const label = `entry ${index}`;
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return [null, `${label} must be an object`];
+
+  const { id, name, region = null, latitude = null, longitude = null, url } = entry;
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) return [null, `${label} needs an id of letters, digits, - or _`];
+  if (typeof name !== "string" || name.trim() === "") return [null, `${id} needs a name`];
+  if (region !== null && (typeof region !== "string" || region.trim() === "")) return [null, `${id} has an invalid region`];
+  if (!isHttpUrl(url)) return [null, `${id} needs an http(s) url`];
+  if ((latitude === null) !== (longitude === null)) return [null, `${id} needs both latitude and longitude, or neither`];
+  if (latitude !== null && !(typeof latitude === "number" && latitude >= -90 && latitude <= 90)) {
+    return [null, `${id} latitude must be between -90 and 90`];
+  }
+  if (longitude !== null && !(typeof longitude === "number" && longitude >= -180 && longitude <= 180)) {
+    return [null, `${id} longitude must be between -180 and 180`];
+  }
+
+  return [{ id, name: name.trim(), region: region && region.trim(), latitude, longitude, url: url.replace(/\/+$/, "") }, null];
+};
+
+const MIN_TOKEN_LENGTH = 16;
+const TOKEN_LIMITS = { testsPerMinute: 100000, concurrentStreams: 10000, mbPerHour: 100 * 1024 * 1024 };
+
+// One API token with optional limits of its own. Returns [token, error]
+const validateToken = (entry, index) => {
+  const label = `entry ${index}`;
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return [null, `${label} must be an object`];
+
+  const { name, token } = entry;
+  if (typeof name !== "string" || !ID_PATTERN.test(name)) return [null, `${label} needs a name of letters, digits, - or _`];
+  if (typeof token !== "string" || token.length < MIN_TOKEN_LENGTH) {
+    return [null, `${name} needs a token of at least ${MIN_TOKEN_LENGTH} characters`];
+  }
+
+  const limits = {};
+  for (const limit of Object.keys(TOKEN_LIMITS)) {
+    if (entry[limit] === undefined) continue;
+    const value = entry[limit];
+    if (typeof value !== "number" || !isFinite(value) || value < 0 || value > TOKEN_LIMITS[limit]) {
+      return [null, `${name} ${limit} must be between 0 and ${TOKEN_LIMITS[limit]}`];
+    }
+    limits[limit] = value;
+  }
+
+  return [{ name, token, limits }, null];
+};
+
+// Environment values arrive as strings
+const fromEnv = (field, raw) => {
+  if (field.type === "origins") {
+    return raw.split(",").map((origin) => origin.trim()).filter(Boolean);
+  }
+  if (field.type === "servers" || field.type === "tokens") {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+  if (["number", "integer", "port"].includes(field.type)) {
+    return raw.trim() === "" ? NaN : Number(raw);
+  }
+  return raw;
+};
+
+// Returns [value, error]
+const validate = (field, value) => {
+  if (value === null) return [null, null];
+
+  switch (field.type) {
+    case "string":
+      return typeof value === "string" && value.trim() !== "" ? [value.trim(), null] : [null, "must be a non-empty string"];
+    case "id":
+      return typeof value === "string" && ID_PATTERN.test(value) ? [value, null] : [null, "must be letters, digits, - or _"];
+    case "url":
+      return isHttpUrl(value) ? [value, null] : [null, "must be an http(s) URL"];
+    case "number":
+    case "integer":
+    case "port": {
+      const min = field.type === "port" ? 1 : field.min;
+      const max = field.type === "port" ? 65535 : field.max;
+      const whole = field.type !== "number";
+      if (typeof value !== "number" || !isFinite(value) || (whole && !Number.isInteger(value))) {
+        return [null, `must be ${whole ? "an integer" : "a number"}`];
+      }
+      return value >= min && value <= max ? [value, null] : [null, `must be between ${min} and ${max}`];
+    }
+    case "enum":
+      return field.values.includes(value) ? [value, null] : [null, `must be one of ${field.values.join(", ")}`];
+    case "origins": {
+      if (!Array.isArray(value)) return [null, "must be a list of origins"];
+      const normalized = value.map((origin) => (typeof origin === "string" ? normalizeOrigin(origin.trim()) : null));
+      const invalid = value.filter((origin, index) => normalized[index] === null);
+      if (invalid.length > 0) return [null, `has invalid origins: ${invalid.join(", ")}`];
+      return [Array.from(new Set(normalized)), null];
+    }
+    case "servers": {
+      if (!Array.isArray(value)) return [null, "must be a list of servers"];
+      const servers = [];
+      for (let index = 0; index < value.length; index++) {
+        const [server, error] = validateServer(value[index], index);
+        if (error) return [null, error];
+        if (servers.some((existing) => existing.id === server.id)) return [null, `duplicate id ${server.id}`];
+        servers.push(server);
+      }
+      return [servers, null];
+    }
+    case "tokens": {
+      if (!Array.isArray(value)) return [null, "must be a list of tokens"];
+      const tokens = [];
+      for (let index = 0; index < value.length; index++) {
+        const [token, error] = validateToken(value[index], index);
+        if (error) return [null, error];
+        if (tokens.some((existing) => existing.name === token.name)) return [null, `duplicate name ${token.name}`];
+        if (tokens.some((existing) => existing.token === token.token)) return [null, `${token.name} reuses a token`];
+        tokens.push(token);
+      }
+      return [tokens, null];
+    }
+    default:
+      return [null, "has an unknown type"];
+  }
+};
+
+const readConfigFile = (filePath, required) => {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Config file not found: ${filePath}`);
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("top level must be an object");
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+};
+
+// Build the effective configuration. Throws with every problem listed when
+// anything is invalid. `sources` records where each overridden value came from.
+const loadConfig = ({ env = process.env, cwd = process.cwd() } = {}) => {
+  const filePath = path.resolve(cwd, env.CONFIG_FILE || DEFAULT_CONFIG_FILE);
+  const file = readConfigFile(filePath, Boolean(env.CONFIG_FILE));
+  const errors = file ? unknownKeys(file).map((key) => `${key}: unknown setting`) : [];
+
+  const config = {};
+  const sources = { file: file ? filePath : null, overrides: {} };
+
+  FIELDS.forEach((field) => {
+    let value = field.default;
+    let source = null;
+
+    const fileValue = file ? getPath(file, field.key) : undefined;
+    if (fileValue !== undefined) {
+      value = fileValue;
+      source = "file";
+    }
+    if (env[field.env] !== undefined) {
+      value = fromEnv(field, env[field.env]);
+      source = `env:${field.env}`;
+    }
+
+    const [checked, error] = validate(field, value);
+    if (error) {
+      errors.push(`${field.key}${source && source.startsWith("env:") ? ` (${field.env})` : ""}: ${error}`);
+    }
+    if (source) sources.overrides[field.key] = source;
+    setPath(config, field.key, checked);
+  });
+
+  if (config.limits && config.limits.minDownloadSize > config.limits.maxDownloadSize) {
+    errors.push("limits.minDownloadSize: must not exceed limits.maxDownloadSize");
+  }
+  if (config.servers && config.servers.some((server) => server.id === config.server.id)) {
+    errors.push(`servers: ${config.server.id} is this server's own id (server.id)`);
+  }
+  if (config.healthCheck && config.healthCheck.timeout >= config.healthCheck.interval) {
+    errors.push("healthCheck.timeout: must be less than healthCheck.interval");
+  }
+  if (config.timeouts && config.timeouts.headers <= config.timeouts.keepAlive) {
+    errors.push("timeouts.headers: must be greater than timeouts.keepAlive");
+  }
+  const { timeouts, limits } = config;
+  if (timeouts && limits && timeouts.requestBody > 0 && timeouts.requestBody < limits.maxUploadDuration * 1000) {
+    errors.push("timeouts.requestBody: must be 0 or at least limits.maxUploadDuration");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { config, sources };
+};
+
+module.exports = {
+  FIELDS,
+  loadConfig,
+  normalizeOrigin,
+};
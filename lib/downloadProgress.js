@@ -0,0 +1,147 @@
+// Download progress sessions: while a download tagged with a progress session
+// runs, the server samples the bytes it has sent and pushes per-interval
+// throughput to subscribers, so clients need not reconstruct it themselves
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { round } = require("./statistics");
+const { toMbps } = require("./uploadTiming");
+
+const sessions = new Map();
+const SESSION_TTL = 10 * 60 * 1000; // Sessions expire after 10 minutes
+
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
+
+const createSession = ({ interval } = {}, now) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    interval: Math.min(Math.max(parseInt(interval) || 250, 50), 5000),
+    downloads: [],
+    listeners: new Set(),
+    timer: null,
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => {
+    clearInterval(session.timer);
+    sessions.delete(session.id);
+  }, SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+const emit = (session, event) => {
+  session.listeners.forEach((listener) => listener(event));
+};
+
+// Listener is called with every event; returns an unsubscribe function
+const subscribe = (session, listener) => {
+  session.listeners.add(listener);
+  return () => session.listeners.delete(listener);
+};
+
+const activeDownloads = (session) => session.downloads.filter((download) => download.endTime === null);
+
+const sample = (session) => {
+  const now = getHighResolutionTime();
+
+  activeDownloads(session).forEach((download) => {
+    const speedMbps = toMbps(download.bytes - download.lastSampleBytes, now - download.lastSampleTime);
+    download.lastSampleTime = now;
+    download.lastSampleBytes = download.bytes;
+    download.samples++;
+    download.peakSpeedMbps = Math.max(download.peakSpeedMbps, speedMbps);
+
+    emit(session, {
+      type: "sample",
+      downloadId: download.id,
+      time: round(now - download.startTime),
+      bytes: download.bytes,
+      speedMbps: round(speedMbps),
+    });
+  });
+};
+
+const beginDownload = (session, { source, now }) => {
+  const download = {
+    id: session.downloads.length,
+    source,
+    startTime: now,
+    endTime: null,
+    bytes: 0,
+    completed: false,
+    lastSampleTime: now,
+    lastSampleBytes: 0,
+    samples: 0,
+    peakSpeedMbps: 0,
+  };
+  session.downloads.push(download);
+
+  if (!session.timer) {
+    session.timer = setInterval(() => sample(session), session.interval);
+  }
+
+  emit(session, { type: "start", downloadId: download.id, source, serverTime: now });
+  return download;
+};
+
+// Routes call this as bytes leave the server
+const addBytes = (download, bytes) => {
+  download.bytes += bytes;
+};
+
+const describeDownload = (download) => {
+  const duration = download.endTime - download.startTime;
+  return {
+    downloadId: download.id,
+    source: download.source,
+    bytes: download.bytes,
+    duration: round(duration),
+    averageSpeedMbps: round(toMbps(download.bytes, duration)),
+    peakSpeedMbps: round(download.peakSpeedMbps),
+    samples: download.samples,
+    completed: download.completed,
+  };
+};
+
+// Summary over every download in the session, sent once none are running
+const buildSummary = (session) => {
+  const start = Math.min(...session.downloads.map((download) => download.startTime));
+  const end = Math.max(...session.downloads.map((download) => download.endTime));
+  const totalBytes = session.downloads.reduce((sum, download) => sum + download.bytes, 0);
+
+  return {
+    type: "summary",
+    sessionId: session.id,
+    downloads: session.downloads.map(describeDownload),
+    totalBytes,
+    duration: round(end - start),
+    averageSpeedMbps: round(toMbps(totalBytes, end - start)),
+  };
+};
+
+const endDownload = (session, download, { now, completed }) => {
+  if (download.endTime !== null) return;
+
+  download.endTime = now;
+  download.completed = completed;
+  emit(session, { type: "end", ...describeDownload(download) });
+
+  if (activeDownloads(session).length === 0) {
+    clearInterval(session.timer);
+    session.timer = null;
+    emit(session, buildSummary(session));
+  }
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  subscribe,
+  beginDownload,
+  addBytes,
+  endDownload,
+};
@@ -0,0 +1,177 @@
+// Network impairment emulation. A profile describes added latency, a jitter
+// distribution, stalls, a connection drop after N bytes and a throughput
+// cap; every random choice comes from a seeded generator so a scenario can
+// be replayed exactly in automated tests.
+const { Transform } = require("stream");
+const crypto = require("crypto");
+const { createPrng, normalSample } = require("./prng");
+
+const sessions = new Map();
+const SESSION_TTL = 60 * 60 * 1000; // Sessions expire after 1 hour
+const DISTRIBUTIONS = ["uniform", "normal", "pareto"];
+const SEED_PATTERN = /^[\x21-\x7e]{1,64}$/; // Printable ASCII, as it is echoed in X-Impairment
+const PARETO_SHAPE = 2; // Heavy enough tail to produce occasional large spikes
+const PARETO_CAP = 10; // Largest spike, in multiples of the jitter setting
+
+// Numeric fields: [min, max, default]
+const LIMITS = {
+  latency: [0, 10000, 0], // ms added before the request is handled
+  jitter: [0, 5000, 0], // ms spread around the added latency
+  stallProbability: [0, 1, 0], // chance of a stall per streamed chunk
+  stallDuration: [0, 30000, 500], // ms each stall lasts
+  dropAfter: [1, Infinity, null], // bytes of body after which the connection is cut
+  rate: [0.01, 10000, null], // Mbps cap on streamed bodies
+};
+
+// Longest delay any single request can get
+const MAX_DELAY = LIMITS.latency[1] + LIMITS.jitter[1];
+
+// "latency:50,jitter:10,seed:7" as used on the query string
+const parseSpec = (spec) => {
+  const fields = {};
+  String(spec)
+    .split(",")
+    .forEach((pair) => {
+      const [key, value] = pair.split(":").map((part) => part && part.trim());
+      if (key) fields[key] = value;
+    });
+  return fields;
+};
+
+// Accepts an object (JSON body) or a spec string. Returns { profile } or { error }.
+const parseProfile = (input) => {
+  const fields = typeof input === "string" ? parseSpec(input) : input || {};
+  const profile = {};
+
+  for (const [key, [min, max, fallback]] of Object.entries(LIMITS)) {
+    if (fields[key] === undefined || fields[key] === null || fields[key] === "") {
+      profile[key] = fallback;
+      continue;
+    }
+    const value = parseFloat(fields[key]);
+    if (isNaN(value) || value < min || value > max) {
+      return { error: `Invalid ${key}. Must be between ${min} and ${max}` };
+    }
+    profile[key] = value;
+  }
+
+  const distribution = fields.distribution || "uniform";
+  if (typeof distribution !== "string" || !DISTRIBUTIONS.includes(distribution)) {
+    return { error: `Invalid distribution. Must be one of ${DISTRIBUTIONS.join(", ")}` };
+  }
+  profile.distribution = distribution;
+
+  // Without a seed one is chosen and reported, so the run can still be replayed
+  const hasSeed = fields.seed !== undefined && fields.seed !== null && fields.seed !== "";
+  if (hasSeed && !SEED_PATTERN.test(String(fields.seed))) {
+    return { error: "Invalid seed. Must be 1 to 64 printable ASCII characters" };
+  }
+  profile.seed = hasSeed ? String(fields.seed) : crypto.randomBytes(4).toString("hex");
+  return { profile };
+};
+
+// A live impairment: a profile plus the generator its random choices come from
+const createImpairment = (profile) => {
+  const random = createPrng(profile.seed);
+
+  const jitterOffset = () => {
+    if (profile.jitter === 0) return 0;
+    switch (profile.distribution) {
+      case "normal":
+        return normalSample(random) * profile.jitter;
+      case "pareto":
+        // Unbounded in theory; one draw must not hold a request for hours
+        return profile.jitter * Math.min(Math.pow(1 - random(), -1 / PARETO_SHAPE) - 1, PARETO_CAP);
+      default:
+        return (random() * 2 - 1) * profile.jitter;
+    }
+  };
+
+  return {
+    profile,
+    sampleDelay: () => Math.min(Math.max(0, profile.latency + jitterOffset()), MAX_DELAY),
+    shouldStall: () => profile.stallProbability > 0 && random() < profile.stallProbability,
+  };
+};
+
+// Short form for the X-Impairment header, leaving out settings with no effect
+const describeProfile = (profile) =>
+  Object.keys(profile)
+    .filter((key) => profile[key] !== null && profile[key] !== 0)
+    .filter((key) => key !== "stallDuration" || profile.stallProbability > 0)
+    .map((key) => `${key}=${profile[key]}`)
+    .join("; ");
+
+// Sessions share one generator across requests, so a sequence of requests
+// replays identically when issued in the same order
+const createSession = (profile, now) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    impairment: createImpairment(profile),
+    requests: 0,
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => sessions.delete(session.id), SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+// Applies stalls and the byte limit to a streamed body. `onDrop` is called
+// once the limit is reached so the caller can cut the connection.
+class ImpairedStream extends Transform {
+  constructor(impairment, { onDrop } = {}) {
+    super();
+    this.impairment = impairment;
+    this.onDrop = onDrop || (() => {});
+    this.bytes = 0;
+    this.dropped = false;
+    this.stalls = 0;
+    this.timer = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.dropped) return callback();
+
+    const { dropAfter, stallDuration } = this.impairment.profile;
+    let output = chunk;
+    if (dropAfter !== null && this.bytes + chunk.length >= dropAfter) {
+      output = chunk.subarray(0, dropAfter - this.bytes);
+      this.dropped = true;
+    }
+
+    const release = () => {
+      this.bytes += output.length;
+      if (output.length > 0) this.push(output);
+      if (this.dropped) {
+        this.push(null);
+        this.onDrop(this.bytes);
+      }
+      callback();
+    };
+
+    if (this.impairment.shouldStall()) {
+      this.stalls++;
+      this.timer = setTimeout(release, stallDuration);
+    } else {
+      release();
+    }
+  }
+
+  _destroy(error, callback) {
+    clearTimeout(this.timer);
+    callback(error);
+  }
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  parseProfile,
+  createImpairment,
+  describeProfile,
+  createSession,
+  getSession,
+  ImpairedStream,
+};
@@ -0,0 +1,136 @@
+// Loaded-latency (bufferbloat) sessions: latency probes are tagged with
+// whichever transfers of the same session are in flight when they arrive
+const crypto = require("crypto");
+const { round, summarizeLatency } = require("./statistics");
+
+const sessions = new Map();
+const SESSION_TTL = 10 * 60 * 1000; // Sessions expire after 10 minutes
+const MAX_CHAIN_GAP = 5000; // Probes further apart than this are not chained
+const MAX_SAMPLES = 5000; // Per session; later samples are counted but not kept, so the idle baseline survives
+
+// Bufferbloat grades by latency increase under load (ms)
+const GRADES = [
+  { grade: "A+", maxIncrease: 5 },
+  { grade: "A", maxIncrease: 30 },
+  { grade: "B", maxIncrease: 60 },
+  { grade: "C", maxIncrease: 200 },
+  { grade: "D", maxIncrease: 400 },
+];
+
+const createSession = (now) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    activeTransfers: { download: 0, upload: 0 },
+    transfers: { download: 0, upload: 0 },
+    lastProbe: null,
+    samples: [],
+    droppedSamples: 0,
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => sessions.delete(session.id), SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+// Phase is decided by which transfers are running right now
+const currentPhase = (session) => {
+  const { download, upload } = session.activeTransfers;
+  if (download > 0 && upload > 0) return "bidirectional";
+  if (download > 0) return "download";
+  if (upload > 0) return "upload";
+  return "idle";
+};
+
+const beginTransfer = (session, direction) => {
+  session.activeTransfers[direction]++;
+  session.transfers[direction]++;
+
+  let ended = false;
+  return () => {
+    if (ended) return;
+    ended = true;
+    session.activeTransfers[direction]--;
+  };
+};
+
+// A probe that arrives right after the previous response closes one round trip:
+// RTT = this probe's arrival - previous probe's response time
+const recordProbe = (session, seq, receiveTime) => {
+  const previous = session.lastProbe;
+  let sample = null;
+
+  if (previous && seq === previous.seq + 1 && receiveTime - previous.sendTime < MAX_CHAIN_GAP) {
+    sample = {
+      seq,
+      timestamp: receiveTime,
+      timeSinceStart: round(receiveTime - session.createdAt),
+      roundTripTime: round(receiveTime - previous.sendTime),
+      phase: previous.phase === currentPhase(session) ? previous.phase : "transition",
+    };
+    if (session.samples.length < MAX_SAMPLES) session.samples.push(sample);
+    else session.droppedSamples++;
+  }
+
+  return sample;
+};
+
+const markProbeSent = (session, seq, sendTime) => {
+  session.lastProbe = { seq, sendTime, phase: currentPhase(session) };
+};
+
+const gradeBufferbloat = (increase) => {
+  if (increase === null) return null;
+  const match = GRADES.find((entry) => increase < entry.maxIncrease);
+  return match ? match.grade : "F";
+};
+
+const buildReport = (session) => {
+  const phases = {};
+  ["idle", "download", "upload", "bidirectional"].forEach((phase) => {
+    phases[phase] = summarizeLatency(
+      session.samples.filter((sample) => sample.phase === phase).map((sample) => sample.roundTripTime)
+    );
+  });
+
+  const idle = phases.idle.average;
+  const increaseOver = (phase) =>
+    idle !== null && phases[phase].average !== null ? round(phases[phase].average - idle) : null;
+
+  const increase = {
+    download: increaseOver("download"),
+    upload: increaseOver("upload"),
+    bidirectional: increaseOver("bidirectional"),
+  };
+
+  const measured = Object.values(increase).filter((value) => value !== null);
+  const worstIncrease = measured.length > 0 ? Math.max(...measured) : null;
+
+  return {
+    sessionId: session.id,
+    samples: session.samples,
+    droppedSamples: session.droppedSamples,
+    transfers: session.transfers,
+    latency: phases,
+    increase,
+    bufferbloat: {
+      worstIncrease,
+      grade: gradeBufferbloat(worstIncrease),
+      downloadGrade: gradeBufferbloat(increase.download),
+      uploadGrade: gradeBufferbloat(increase.upload),
+    },
+  };
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  currentPhase,
+  beginTransfer,
+  recordProbe,
+  markProbeSent,
+  gradeBufferbloat,
+  buildReport,
+};
@@ -0,0 +1,104 @@
+// Prometheus metrics for test traffic and server health, exposed in the
+// text exposition format on /metrics
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "speedtest_" });
+
+const httpRequests = new client.Counter({
+  name: "speedtest_http_requests_total",
+  help: "HTTP requests by route, method and status",
+  labelNames: ["route", "method", "status"],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: "speedtest_http_request_duration_seconds",
+  help: "Time from request arrival until the response finished or was abandoned",
+  labelNames: ["route", "method"],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 120],
+  registers: [registry],
+});
+
+const downloadBytes = new client.Counter({
+  name: "speedtest_download_bytes_total",
+  help: "Test data bytes sent by download routes",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+const uploadBytes = new client.Counter({
+  name: "speedtest_upload_bytes_total",
+  help: "Test data bytes received by upload routes",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+const activeStreams = new client.Gauge({
+  name: "speedtest_active_streams",
+  help: "Long-lived test connections currently open",
+  labelNames: ["kind"],
+  registers: [registry],
+});
+
+const abortedRequests = new client.Counter({
+  name: "speedtest_aborted_requests_total",
+  help: "Requests whose connection closed before the response finished",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+// Route template rather than path, so ids do not explode label cardinality
+const routeLabel = (req) => (req.route ? req.baseUrl + req.route.path : "unmatched");
+
+// Express middleware: register first so every request is counted
+const instrumentRequests = (req, res, next) => {
+  const endTimer = httpDuration.startTimer();
+
+  res.on("close", () => {
+    const route = routeLabel(req);
+    endTimer({ route, method: req.method });
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    if (!res.writableFinished) abortedRequests.inc({ route });
+  });
+  next();
+};
+
+let openStreams = 0;
+
+// Count a long-lived connection of `kind` until `emitter` closes
+const trackStream = (kind, emitter) => {
+  openStreams++;
+  activeStreams.inc({ kind });
+  emitter.once("close", () => {
+    openStreams--;
+    activeStreams.dec({ kind });
+  });
+};
+
+// Long-lived connections of every kind, for load reporting
+const activeStreamCount = () => openStreams;
+
+const recordTransferBytes = (req, phase, bytes) => {
+  const counter = phase === "upload" ? uploadBytes : downloadBytes;
+  counter.inc({ route: routeLabel(req) }, bytes);
+};
+
+// Calls back with (error, text)
+const render = (callback) => {
+  // The callback runs outside the promise chain, so a throw in it is an
+  // ordinary exception rather than an unhandled rejection
+  registry.metrics().then(
+    (text) => setImmediate(callback, null, text),
+    (error) => setImmediate(callback, error)
+  );
+};
+
+module.exports = {
+  contentType: registry.contentType,
+  instrumentRequests,
+  trackStream,
+  activeStreamCount,
+  recordTransferBytes,
+  render,
+};
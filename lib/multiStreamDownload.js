@@ -0,0 +1,206 @@
+// Multi-stream download sessions: several parallel download streams are sampled
+// on one shared timeline so aggregate throughput is measured by the server
+// instead of being reconstructed from overlapping client timers
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { round, mean, percentile } = require("./statistics");
+const { toMbps } = require("./uploadTiming");
+
+const sessions = new Map();
+const SESSION_TTL = 10 * 60 * 1000; // Sessions expire after 10 minutes
+const MAX_STREAMS = 32;
+const MAX_SAMPLES = 5000;
+
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
+
+const createSession = ({ streams, sampleInterval, rampUp, tail } = {}, now) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: now,
+    startTime: null,
+    expectedStreams: Math.min(Math.max(parseInt(streams) || 0, 0), MAX_STREAMS) || null,
+    sampleInterval: Math.min(Math.max(parseInt(sampleInterval) || 100, 50), 1000),
+    rampUp: Math.min(Math.max(parseInt(rampUp) || 1000, 0), 30000),
+    tail: Math.min(Math.max(parseInt(tail) || 500, 0), 30000),
+    streams: new Map(),
+    samples: [],
+    timer: null,
+    lastSampleTime: null,
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => {
+    clearInterval(session.timer);
+    sessions.delete(session.id);
+  }, SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+const takeSample = (session, now) => {
+  const interval = now - session.lastSampleTime;
+  if (interval <= 0) return;
+
+  const perStream = {};
+  let bytes = 0;
+  let active = 0;
+
+  session.streams.forEach((entry) => {
+    const delta = entry.bytes - entry.sampledBytes;
+    entry.sampledBytes = entry.bytes;
+    if (delta > 0) perStream[entry.id] = delta;
+    bytes += delta;
+    if (entry.endTime === null) active++;
+  });
+
+  if (session.samples.length < MAX_SAMPLES) {
+    session.samples.push({
+      time: now - session.startTime,
+      interval,
+      bytes,
+      activeStreams: active,
+      perStream,
+    });
+  }
+  session.lastSampleTime = now;
+};
+
+const stopSamplerIfIdle = (session, now) => {
+  const active = Array.from(session.streams.values()).some((entry) => entry.endTime === null);
+  if (!active && session.timer) {
+    takeSample(session, now);
+    clearInterval(session.timer);
+    session.timer = null;
+  }
+};
+
+const canAddStream = (session, streamId) =>
+  !session.streams.has(streamId) && session.streams.size < MAX_STREAMS;
+
+// Register a running stream; the first stream starts the shared timeline.
+// Bytes are counted as the stream hands them on, not as it generates them.
+const addStream = (session, streamId, source, now) => {
+  if (!canAddStream(session, streamId)) return false;
+
+  if (session.startTime === null) {
+    session.startTime = now;
+    session.lastSampleTime = now;
+  }
+
+  const entry = {
+    id: streamId,
+    startTime: now,
+    endTime: null,
+    bytes: 0,
+    sampledBytes: 0,
+  };
+  session.streams.set(streamId, entry);
+  source.on("data", (chunk) => {
+    entry.bytes += chunk.length;
+  });
+
+  if (!session.timer) {
+    session.lastSampleTime = now;
+    session.timer = setInterval(() => takeSample(session, getHighResolutionTime()), session.sampleInterval);
+  }
+  return true;
+};
+
+const endStream = (session, streamId, now) => {
+  const entry = session.streams.get(streamId);
+  if (!entry || entry.endTime !== null) return;
+
+  entry.endTime = now;
+  stopSamplerIfIdle(session, now);
+};
+
+// Steady state: every stream is running and past ramp-up, and none has finished yet
+const steadyWindow = (session) => {
+  const entries = Array.from(session.streams.values());
+  if (entries.length === 0) return null;
+
+  const expected = session.expectedStreams || entries.length;
+  if (entries.length < expected) return null;
+
+  const lastStart = Math.max(...entries.map((entry) => entry.startTime));
+  const ended = entries.filter((entry) => entry.endTime !== null).map((entry) => entry.endTime);
+  const firstEnd = ended.length > 0 ? Math.min(...ended) : Infinity;
+
+  const start = lastStart - session.startTime + session.rampUp;
+  const end = firstEnd - session.startTime - session.tail;
+  return end > start ? { start, end } : null;
+};
+
+const buildReport = (session) => {
+  const window = steadyWindow(session);
+  const classify = (sample) => {
+    const sampleStart = sample.time - sample.interval;
+    if (!window || sampleStart < window.start) {
+      return window && sample.time > window.end ? "tail" : "ramp-up";
+    }
+    return sample.time <= window.end ? "steady" : "tail";
+  };
+
+  const samples = session.samples.map((sample) => ({
+    time: round(sample.time),
+    interval: round(sample.interval),
+    bytes: sample.bytes,
+    speedMbps: round(toMbps(sample.bytes, sample.interval)),
+    activeStreams: sample.activeStreams,
+    perStream: sample.perStream,
+    phase: classify(sample),
+  }));
+
+  const steady = samples.filter((sample) => sample.phase === "steady");
+  const steadyBytes = steady.reduce((sum, sample) => sum + sample.bytes, 0);
+  const steadyTime = steady.reduce((sum, sample) => sum + sample.interval, 0);
+  const steadySpeeds = steady.map((sample) => sample.speedMbps).sort((a, b) => a - b);
+
+  const streams = Array.from(session.streams.values()).map((entry) => {
+    const end = entry.endTime !== null ? entry.endTime : session.lastSampleTime;
+    return {
+      id: entry.id,
+      bytes: entry.bytes,
+      startOffset: round(entry.startTime - session.startTime),
+      duration: round(end - entry.startTime),
+      speedMbps: round(toMbps(entry.bytes, end - entry.startTime)),
+      active: entry.endTime === null,
+    };
+  });
+
+  const totalBytes = streams.reduce((sum, stream) => sum + stream.bytes, 0);
+  const totalTime = session.lastSampleTime !== null ? session.lastSampleTime - session.startTime : 0;
+
+  return {
+    sessionId: session.id,
+    expectedStreams: session.expectedStreams,
+    sampleInterval: session.sampleInterval,
+    rampUp: session.rampUp,
+    tail: session.tail,
+    streams,
+    samples,
+    aggregate: {
+      totalBytes,
+      overallSpeedMbps: round(toMbps(totalBytes, totalTime)),
+      steadyWindow: window ? { start: round(window.start), end: window.end === Infinity ? null : round(window.end) } : null,
+      steadySamples: steady.length,
+      steadySpeedMbps: steady.length > 0 ? round(toMbps(steadyBytes, steadyTime)) : null,
+      steadyMeanMbps: round(mean(steadySpeeds)),
+      steadyP50Mbps: round(percentile(steadySpeeds, 50)),
+      steadyP90Mbps: round(percentile(steadySpeeds, 90)),
+    },
+  };
+};
+
+module.exports = {
+  MAX_STREAMS,
+  createSession,
+  getSession,
+  canAddStream,
+  addStream,
+  endStream,
+  buildReport,
+};
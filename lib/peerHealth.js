@@ -0,0 +1,200 @@
+// Background health checks of peer speed test servers. Each round polls a
+// peer's /api/ping for round-trip latency and /api/info for load; a peer is
+// marked unhealthy after enough consecutive failed rounds and healthy again
+// after its next successful one.
+const http = require("http");
+const https = require("https");
+const { performance } = require("perf_hooks");
+const { round, mean } = require("./statistics");
+
+const LATENCY_WINDOW = 5; // Rounds averaged into the reported latency
+const MAX_BODY = 64 * 1024;
+
+const getHighResolutionTime = () => performance.now();
+
+// GET a JSON document, calling back with (error, body, elapsed ms). Elapsed
+// time starts once the socket is connected, so a fresh connection's TCP and
+// TLS handshakes are not counted as peer latency.
+const getJson = (url, agents, timeout, callback) => {
+  const secure = url.startsWith("https:");
+  const client = secure ? https : http;
+  let started = null;
+  let finished = false;
+  const done = (error, body) => {
+    if (finished) return;
+    finished = true;
+    callback(error, body, started === null ? null : getHighResolutionTime() - started);
+  };
+
+  const options = { agent: secure ? agents.https : agents.http, timeout, headers: { Accept: "application/json" } };
+  const request = client.get(url, options, (response) => {
+    let text = "";
+    response.setEncoding("utf8");
+    response.on("data", (chunk) => {
+      text += chunk;
+      if (text.length > MAX_BODY) request.destroy(new Error("Response too large"));
+    });
+    response.on("end", () => {
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return done(new Error(`HTTP ${response.statusCode}`));
+      }
+      try {
+        done(null, JSON.parse(text));
+      } catch (error) {
+        done(new Error("Invalid JSON response"));
+      }
+    });
+    response.on("error", done);
+  });
+
+  request.on("socket", (socket) => {
+    const begin = () => {
+      started = getHighResolutionTime();
+    };
+    if (socket.connecting) socket.once(secure ? "secureConnect" : "connect", begin);
+    else begin();
+  });
+  request.on("timeout", () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+  request.on("error", done);
+};
+
+// Load figures a peer reports in /api/info, where present
+const readLoad = (info) => {
+  const load = info && info.load ? info.load : {};
+  const memory = info && info.memory ? info.memory : {};
+  return {
+    loadAverage: typeof load.loadAverage === "number" ? load.loadAverage : null,
+    cores: typeof load.cores === "number" ? load.cores : null,
+    activeStreams: typeof load.activeStreams === "number" ? load.activeStreams : null,
+    memoryUsed: typeof memory.used === "number" ? memory.used : null,
+    uptime: info && typeof info.uptime === "number" ? info.uptime : null,
+  };
+};
+
+const createHealthChecker = ({ peers, interval, timeout, failureThreshold }) => {
+  const states = new Map(
+    peers.map((peer) => [
+      peer.id,
+      {
+        peer,
+        status: "unknown",
+        checking: false,
+        checks: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencies: [],
+        load: null,
+        lastCheckedAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        statusChangedAt: null,
+      },
+    ])
+  );
+  let timer = null;
+
+  // Kept-alive connections, so rounds after the first reuse an open socket
+  const agents = {
+    http: new http.Agent({ keepAlive: true }),
+    https: new https.Agent({ keepAlive: true }),
+  };
+
+  const setStatus = (state, status) => {
+    if (state.status === status) return;
+    state.status = status;
+    state.statusChangedAt = Date.now();
+  };
+
+  const recordFailure = (state, error) => {
+    state.failures++;
+    state.consecutiveFailures++;
+    state.lastError = error.message;
+    if (state.consecutiveFailures >= failureThreshold) setStatus(state, "unhealthy");
+  };
+
+  const recordSuccess = (state, latency, info) => {
+    state.consecutiveFailures = 0;
+    state.lastError = null;
+    state.lastSuccessAt = Date.now();
+    state.latencies.push(latency);
+    if (state.latencies.length > LATENCY_WINDOW) state.latencies.shift();
+    state.load = readLoad(info);
+    setStatus(state, "healthy");
+  };
+
+  // One round for one peer; skipped while the previous round is still running
+  const checkPeer = (state, callback = () => {}) => {
+    if (state.checking) return callback();
+    state.checking = true;
+
+    const finish = (error, latency, info) => {
+      state.checking = false;
+      state.checks++;
+      state.lastCheckedAt = Date.now();
+      if (error) recordFailure(state, error);
+      else recordSuccess(state, latency, info);
+      callback();
+    };
+
+    getJson(`${state.peer.url}/api/ping`, agents, timeout, (pingError, ping, latency) => {
+      if (pingError) return finish(pingError);
+      getJson(`${state.peer.url}/api/info`, agents, timeout, (infoError, info) => {
+        if (infoError) return finish(infoError);
+        finish(null, latency, info);
+      });
+    });
+  };
+
+  // Check every peer once, calling back when all have answered or failed
+  const checkAll = (callback = () => {}) => {
+    let pending = states.size;
+    if (pending === 0) return process.nextTick(callback);
+    states.forEach((state) =>
+      checkPeer(state, () => {
+        if (--pending === 0) callback();
+      })
+    );
+  };
+
+  const start = () => {
+    if (timer || states.size === 0) return;
+    checkAll();
+    timer = setInterval(checkAll, interval);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    agents.http.destroy();
+    agents.https.destroy();
+  };
+
+  const describe = (state) => ({
+    id: state.peer.id,
+    status: state.status,
+    latency: round(state.latencies[state.latencies.length - 1]),
+    averageLatency: round(mean(state.latencies)),
+    load: state.load,
+    checks: state.checks,
+    failures: state.failures,
+    consecutiveFailures: state.consecutiveFailures,
+    lastCheckedAt: state.lastCheckedAt,
+    lastSuccessAt: state.lastSuccessAt,
+    lastError: state.lastError,
+    statusChangedAt: state.statusChangedAt,
+  });
+
+  return {
+    start,
+    stop,
+    checkAll,
+    getStatus: (id) => (states.has(id) ? describe(states.get(id)) : null),
+    list: () => Array.from(states.values()).map(describe),
+    isUnhealthy: (id) => states.has(id) && states.get(id).status === "unhealthy",
+  };
+};
+
+module.exports = {
+  createHealthChecker,
+};
@@ -0,0 +1,30 @@
+// Small seeded pseudo-random generators. Not for anything secret: they exist
+// so that test scenarios and generated data can be replayed exactly.
+const crypto = require("crypto");
+
+// Any string or number maps to a 32-bit seed
+const seedFromValue = (value) => crypto.createHash("sha256").update(String(value)).digest().readUInt32BE(0);
+
+// mulberry32: returns a function yielding uniform floats in [0, 1)
+const createPrng = (seed) => {
+  let state = seedFromValue(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller) from a uniform generator
+const normalSample = (random) => {
+  const u = 1 - random(); // (0, 1], avoids log(0)
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+module.exports = {
+  seedFromValue,
+  createPrng,
+  normalSample,
+};
@@ -0,0 +1,168 @@
+// Per-client limits on heavy test endpoints: test starts per minute,
+// concurrent connections and bytes moved per hour. Clients are identified
+// by API token when they present one, otherwise by IP address. The byte
+// budget also covers transfers in flight, which are cut off once it runs out.
+const crypto = require("crypto");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const CLEANUP_INTERVAL = MINUTE;
+const CONCURRENCY_RETRY_AFTER = 1; // seconds; a connection may finish at any moment
+const ENFORCE_INTERVAL = 100; // ms between byte budget checks of open transfers
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Token from "Authorization: Bearer <token>" or the x-api-token header
+const requestToken = (req) => {
+  const authorization = req.headers.authorization;
+  if (typeof authorization === "string" && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, "").trim();
+  }
+  return req.headers["x-api-token"] || null;
+};
+
+// Limits are { testsPerMinute, concurrentStreams, mbPerHour }; 0 means unlimited
+const createRateLimiter = ({ limits, tokens = [] }) => {
+  const clients = new Map();
+  const tokensByHash = new Map(
+    tokens.map((entry) => [hashToken(entry.token), { name: entry.name, limits: { ...limits, ...entry.limits } }])
+  );
+
+  const identify = (req) => {
+    const token = requestToken(req);
+    if (token) {
+      const entry = tokensByHash.get(hashToken(token));
+      if (!entry) return { error: "Unknown API token" };
+      return { key: `token:${entry.name}`, limits: entry.limits };
+    }
+    return { key: `ip:${req.ip || (req.socket && req.socket.remoteAddress)}`, limits };
+  };
+
+  const getClient = (key) => {
+    if (!clients.has(key)) clients.set(key, { starts: [], transfers: [], live: new Set(), limits: null });
+    return clients.get(key);
+  };
+
+  // Bytes an open transfer has moved so far, both directions
+  const liveBytes = (transfer) =>
+    transfer.socket.bytesRead - transfer.bytesRead + (transfer.socket.bytesWritten - transfer.bytesWritten);
+
+  // Finished transfers in the window plus everything still in flight
+  const usedBytes = (client) => {
+    let used = client.transfers.reduce((total, transfer) => total + transfer.bytes, 0);
+    client.live.forEach((transfer) => {
+      used += liveBytes(transfer);
+    });
+    return used;
+  };
+
+  const prune = (client, now) => {
+    while (client.starts.length > 0 && client.starts[0] <= now - MINUTE) client.starts.shift();
+    while (client.transfers.length > 0 && client.transfers[0].time <= now - HOUR) client.transfers.shift();
+  };
+
+  // The first limit this client is over, or null
+  const check = (client, clientLimits, now) => {
+    const { testsPerMinute, concurrentStreams, mbPerHour } = clientLimits;
+
+    if (testsPerMinute > 0 && client.starts.length >= testsPerMinute) {
+      return {
+        reason: "tests-per-minute",
+        error: `Too many tests started. Limit is ${testsPerMinute} per minute`,
+        limit: testsPerMinute,
+        retryAfter: Math.ceil((client.starts[client.starts.length - testsPerMinute] + MINUTE - now) / 1000),
+      };
+    }
+
+    if (concurrentStreams > 0 && client.live.size >= concurrentStreams) {
+      return {
+        reason: "concurrent-streams",
+        error: `Too many concurrent test connections. Limit is ${concurrentStreams}`,
+        limit: concurrentStreams,
+        retryAfter: CONCURRENCY_RETRY_AFTER,
+      };
+    }
+
+    const byteLimit = mbPerHour * 1024 * 1024;
+    let used = usedBytes(client);
+    if (byteLimit > 0 && used >= byteLimit) {
+      // Wait until enough of the oldest transfers leave the window. Bytes
+      // still in flight only leave it an hour after their transfer ends.
+      let index = 0;
+      while (used >= byteLimit && index < client.transfers.length) used -= client.transfers[index++].bytes;
+      const freedAt = used < byteLimit ? client.transfers[index - 1].time : now;
+      return {
+        reason: "bytes-per-hour",
+        error: `Transfer limit reached. Limit is ${mbPerHour} MB per hour`,
+        limit: mbPerHour,
+        retryAfter: Math.ceil((freedAt + HOUR - now) / 1000),
+      };
+    }
+
+    return null;
+  };
+
+  // Express middleware for one heavy request. Bytes are taken from the
+  // socket counters, so both directions count.
+  const limit = (req, res, next) => {
+    const identity = identify(req);
+    if (identity.error) {
+      return res.status(401).json({ error: identity.error });
+    }
+
+    const now = Date.now();
+    const client = getClient(identity.key);
+    prune(client, now);
+
+    const refusal = check(client, identity.limits, now);
+    if (refusal) {
+      const retryAfter = Math.max(1, refusal.retryAfter);
+      res.setHeader("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: refusal.error,
+        reason: refusal.reason,
+        limit: refusal.limit,
+        retryAfter,
+      });
+    }
+
+    const socket = req.socket;
+    const transfer = { res, socket, bytesRead: socket.bytesRead, bytesWritten: socket.bytesWritten };
+    client.starts.push(now);
+    client.live.add(transfer);
+    client.limits = identity.limits;
+
+    res.once("close", () => {
+      client.live.delete(transfer);
+      client.transfers.push({ time: Date.now(), bytes: liveBytes(transfer) });
+    });
+    next();
+  };
+
+  // Cut off every open transfer of a client whose byte budget ran out mid-test.
+  // Checked on a timer, so a transfer overshoots by at most one interval.
+  setInterval(() => {
+    clients.forEach((client) => {
+      if (client.live.size === 0 || !(client.limits.mbPerHour > 0)) return;
+      if (usedBytes(client) < client.limits.mbPerHour * 1024 * 1024) return;
+      client.live.forEach((transfer) => transfer.res.destroy());
+    });
+  }, ENFORCE_INTERVAL).unref();
+
+  // Forget clients with nothing in flight and nothing left in their windows
+  setInterval(() => {
+    const now = Date.now();
+    clients.forEach((client, key) => {
+      prune(client, now);
+      if (client.live.size === 0 && client.starts.length === 0 && client.transfers.length === 0) {
+        clients.delete(key);
+      }
+    });
+  }, CLEANUP_INTERVAL).unref();
+
+  return { limit };
+};
+
+module.exports = {
+  createRateLimiter,
+};
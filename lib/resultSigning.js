@@ -0,0 +1,64 @@
+// HMAC signatures over stored results, so shared numbers can be checked
+// against what this server actually measured
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Stable JSON: object keys sorted so the same values always sign the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// The signed part of a record: who/where is not covered, only what was measured
+const signedPayload = (record) => ({
+  id: record.id,
+  type: record.type,
+  createdAt: record.createdAt,
+  stats: record.stats,
+});
+
+// Use the configured secret, else a key persisted next to the results
+const loadSecret = ({ secret, keyPath }) => {
+  if (secret) return secret;
+
+  if (fs.existsSync(keyPath)) {
+    return fs.readFileSync(keyPath, "utf8").trim();
+  }
+
+  const generated = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, generated, { mode: 0o600 });
+  return generated;
+};
+
+const createSigner = (options) => {
+  const secret = loadSecret(options);
+
+  const sign = (record) =>
+    crypto.createHmac("sha256", secret).update(canonicalize(signedPayload(record))).digest("base64url");
+
+  const verify = (record, signature) => {
+    if (!record || typeof signature !== "string") return false;
+    const expected = Buffer.from(sign(record));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  return { sign, verify };
+};
+
+module.exports = {
+  canonicalize,
+  signedPayload,
+  createSigner,
+};
@@ -0,0 +1,51 @@
+// Pluggable persistent store for completed test results.
+// Backends: "jsonl" (default), "sqlite", or "none" to disable persistence.
+const crypto = require("crypto");
+const { createJsonlStore } = require("./stores/jsonlStore");
+
+const DEFAULT_PATHS = {
+  jsonl: "data/results.jsonl",
+  sqlite: "data/results.db",
+};
+
+// A store that accepts writes and remembers nothing
+const createNullStore = () => ({
+  backend: "none",
+  insert: (record, callback) => process.nextTick(callback, null, record),
+  list: (query, callback) => process.nextTick(callback, null, { total: 0, results: [] }),
+  get: (id, callback) => process.nextTick(callback, null, null),
+  close: () => {},
+});
+
+const createResultStore = ({ backend = "jsonl", filePath } = {}) => {
+  switch (backend) {
+    case "none":
+      return createNullStore();
+    case "sqlite": {
+      // Loaded lazily so the native module is only needed when selected
+      const { createSqliteStore } = require("./stores/sqliteStore");
+      return createSqliteStore({ filePath: filePath || DEFAULT_PATHS.sqlite });
+    }
+    case "jsonl":
+      return createJsonlStore({ filePath: filePath || DEFAULT_PATHS.jsonl });
+    default:
+      throw new Error(`Unknown results backend: ${backend}`);
+  }
+};
+
+// Short, URL-safe ids suitable for share links
+const createResultId = () => crypto.randomBytes(6).toString("base64url");
+
+// Accepts epoch milliseconds or anything Date can parse; null when absent or invalid
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const numeric = Number(value);
+  const time = isNaN(numeric) ? Date.parse(value) : numeric;
+  return isNaN(time) ? null : time;
+};
+
+module.exports = {
+  createResultStore,
+  createResultId,
+  parseDate,
+};
@@ -0,0 +1,114 @@
+// Seeded data pattern: the AES-256-CTR keystream under a key derived from the
+// seed. Counter mode makes every 16-byte block computable on its own, so any
+// byte range of a body can be regenerated, by this server or by a client.
+//
+//   key       = SHA-256("seeded-pattern:" + seed)
+//   byte at n = keystream byte n, counter block floor(n / 16) as a 128-bit
+//               big-endian IV
+const crypto = require("crypto");
+
+const SEEDED_PATTERN = "seeded";
+const MAX_SEED_LENGTH = 128;
+const MAX_CACHED_KEYS = 100;
+const MAX_CORRUPT_RANGES = 100;
+const ZEROS = Buffer.alloc(1024 * 1024);
+
+const keys = new Map();
+
+const keyForSeed = (seed) => {
+  if (!keys.has(seed)) {
+    if (keys.size >= MAX_CACHED_KEYS) keys.clear();
+    keys.set(seed, crypto.createHash("sha256").update(`seeded-pattern:${seed}`).digest());
+  }
+  return keys.get(seed);
+};
+
+// Printable ASCII only: the seed is echoed back in the X-Pattern-Seed header
+const SEED_PATTERN = new RegExp(`^[\\x21-\\x7e]{1,${MAX_SEED_LENGTH}}$`);
+const isValidSeed = (seed) => typeof seed === "string" && SEED_PATTERN.test(seed);
+
+// `length` bytes of the pattern starting at absolute `offset`
+const seededBytes = (seed, offset, length) => {
+  const block = Math.floor(offset / 16);
+  const skip = offset % 16;
+
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(Math.floor(block / 2 ** 64)), 0);
+  iv.writeBigUInt64BE(BigInt(block % 2 ** 64), 8);
+
+  const cipher = crypto.createCipheriv("aes-256-ctr", keyForSeed(seed), iv);
+  const total = skip + length;
+  const parts = [];
+  for (let done = 0; done < total; done += ZEROS.length) {
+    parts.push(cipher.update(ZEROS.subarray(0, Math.min(ZEROS.length, total - done))));
+  }
+
+  const output = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  return output.subarray(skip);
+};
+
+// Compares received data against the pattern as it arrives, recording where
+// it differs. Offsets in the result are positions within the received body.
+class PatternVerifier {
+  constructor({ seed, offset = 0 }) {
+    this.seed = seed;
+    this.offset = offset;
+    this.bytes = 0;
+    this.mismatched = 0;
+    this.ranges = [];
+    this.rangesTruncated = false;
+    this.openRange = null;
+  }
+
+  update(chunk) {
+    const expected = seededBytes(this.seed, this.offset + this.bytes, chunk.length);
+
+    if (expected.equals(chunk)) {
+      this.closeRange();
+    } else {
+      for (let i = 0; i < chunk.length; i++) {
+        if (chunk[i] !== expected[i]) {
+          this.mismatched++;
+          if (this.openRange === null) this.openRange = this.bytes + i;
+        } else {
+          this.closeRange(this.bytes + i);
+        }
+      }
+    }
+
+    this.bytes += chunk.length;
+  }
+
+  closeRange(end = this.bytes) {
+    if (this.openRange === null) return;
+    if (this.ranges.length < MAX_CORRUPT_RANGES) {
+      this.ranges.push({ start: this.openRange, end, length: end - this.openRange });
+    } else {
+      this.rangesTruncated = true;
+    }
+    this.openRange = null;
+  }
+
+  result() {
+    this.closeRange();
+    return {
+      pattern: SEEDED_PATTERN,
+      seed: this.seed,
+      offset: this.offset,
+      bytesChecked: this.bytes,
+      mismatchedBytes: this.mismatched,
+      verified: this.bytes > 0 && this.mismatched === 0,
+      firstMismatchOffset: this.ranges.length > 0 ? this.ranges[0].start : null,
+      corruptRanges: this.ranges,
+      rangesTruncated: this.rangesTruncated,
+    };
+  }
+}
+
+module.exports = {
+  SEEDED_PATTERN,
+  MAX_SEED_LENGTH,
+  isValidSeed,
+  seededBytes,
+  PatternVerifier,
+};
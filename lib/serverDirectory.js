@@ -0,0 +1,95 @@
+// Directory of speed test servers: this one plus configured peers. Clients
+// are pointed at the best one by measured latency or, failing that, by
+// great-circle distance from their reported location.
+const { round } = require("./statistics");
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_LATENCY = 60000; // ms, anything above is treated as a failed measurement
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Haversine distance between two { latitude, longitude } points
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const hasCoordinates = (server) => server.latitude !== null && server.longitude !== null;
+
+const createDirectory = ({ self, peers }) => {
+  const servers = [{ ...self, self: true }, ...peers.map((peer) => ({ ...peer, self: false }))];
+  return {
+    servers,
+    getServer: (id) => servers.find((server) => server.id === id) || null,
+  };
+};
+
+// A client location from query or body fields, or null when absent or invalid
+const parseLocation = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { latitude: lat, longitude: lon };
+};
+
+// Client-measured round trips keyed by server id; unusable values are dropped
+const parseLatencies = (input, servers) => {
+  const latencies = {};
+  if (!input || typeof input !== "object" || Array.isArray(input)) return latencies;
+
+  servers.forEach((server) => {
+    const value = input[server.id];
+    if (typeof value === "number" && isFinite(value) && value >= 0 && value <= MAX_LATENCY) {
+      latencies[server.id] = value;
+    }
+  });
+  return latencies;
+};
+
+// Order servers best first. Measured latency wins over distance, and servers
+// with neither keep their directory order at the end.
+const rankServers = (servers, { latencies = {}, location = null } = {}) => {
+  const candidates = servers.map((server, index) => ({
+    server,
+    index,
+    latency: latencies[server.id] !== undefined ? latencies[server.id] : null,
+    distance: location && hasCoordinates(server) ? distanceKm(location, server) : null,
+  }));
+
+  const tier = (candidate) => (candidate.latency !== null ? 0 : candidate.distance !== null ? 1 : 2);
+  candidates.sort((a, b) => {
+    if (tier(a) !== tier(b)) return tier(a) - tier(b);
+    if (a.latency !== null && a.latency !== b.latency) return a.latency - b.latency;
+    if (a.distance !== null && a.distance !== b.distance) return a.distance - b.distance;
+    return a.index - b.index;
+  });
+
+  const method = candidates.some((c) => c.latency !== null)
+    ? "latency"
+    : candidates.some((c) => c.distance !== null)
+      ? "distance"
+      : "none";
+
+  return {
+    method,
+    servers: candidates.map((candidate, rank) => ({
+      ...candidate.server,
+      rank: rank + 1,
+      latency: candidate.latency,
+      distanceKm: round(candidate.distance, 1),
+      rankedBy: ["latency", "distance", "none"][tier(candidate)],
+    })),
+  };
+};
+
+module.exports = {
+  distanceKm,
+  createDirectory,
+  parseLocation,
+  parseLatencies,
+  rankServers,
+};
@@ -0,0 +1,93 @@
+// Shared latency statistics used by every latency route so that numbers
+// are computed the same way regardless of which endpoint produced them
+
+// Round to a fixed number of decimals and keep the result numeric
+const round = (value, digits = 3) => {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  return parseFloat(value.toFixed(digits));
+};
+
+const mean = (values) => {
+  if (values.length === 0) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+};
+
+// Population standard deviation
+const standardDeviation = (values) => {
+  if (values.length === 0) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / values.length;
+  return Math.sqrt(variance);
+};
+
+// Percentile with linear interpolation between closest ranks (expects sorted input)
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0];
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// RFC 3550 interarrival jitter: J += (|D| - J) / 16 over consecutive samples
+const rfc3550Jitter = (values) => {
+  if (values.length < 2) return values.length === 1 ? 0 : null;
+
+  let jitter = 0;
+  for (let i = 1; i < values.length; i++) {
+    const d = Math.abs(values[i] - values[i - 1]);
+    jitter += (d - jitter) / 16;
+  }
+  return jitter;
+};
+
+// Mean absolute difference between consecutive samples
+const meanConsecutiveDifference = (values) => {
+  if (values.length < 2) return values.length === 1 ? 0 : null;
+
+  let total = 0;
+  for (let i = 1; i < values.length; i++) {
+    total += Math.abs(values[i] - values[i - 1]);
+  }
+  return total / (values.length - 1);
+};
+
+// Full summary of a latency series, in the order the samples were taken
+const summarizeLatency = (values) => {
+  const samples = values.filter((value) => typeof value === "number" && isFinite(value));
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const stdDev = standardDeviation(samples);
+  const p25 = percentile(sorted, 25);
+  const p75 = percentile(sorted, 75);
+
+  return {
+    count: samples.length,
+    average: round(mean(samples)),
+    minimum: round(sorted.length > 0 ? sorted[0] : null),
+    maximum: round(sorted.length > 0 ? sorted[sorted.length - 1] : null),
+    range: round(sorted.length > 0 ? sorted[sorted.length - 1] - sorted[0] : null),
+    standardDeviation: round(stdDev),
+    jitter: round(stdDev), // Kept as standard deviation for existing clients
+    rfc3550Jitter: round(rfc3550Jitter(samples)),
+    meanConsecutiveDifference: round(meanConsecutiveDifference(samples)),
+    percentiles: {
+      p50: round(percentile(sorted, 50)),
+      p90: round(percentile(sorted, 90)),
+      p95: round(percentile(sorted, 95)),
+      p99: round(percentile(sorted, 99)),
+    },
+    iqr: round(p25 !== null ? p75 - p25 : null),
+  };
+};
+
+module.exports = {
+  round,
+  mean,
+  standardDeviation,
+  percentile,
+  rfc3550Jitter,
+  meanConsecutiveDifference,
+  summarizeLatency,
+};
@@ -0,0 +1,79 @@
+// JSON-lines result store: one record per line, appended as tests complete
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const matches = (record, { from, to, type }) =>
+  (from === null || from === undefined || record.createdAt >= from) &&
+  (to === null || to === undefined || record.createdAt <= to) &&
+  (!type || record.type === type);
+
+// Read every record, skipping lines that fail to parse (e.g. a torn final write)
+const scan = (filePath, onRecord, callback) => {
+  if (!fs.existsSync(filePath)) return process.nextTick(callback, null);
+
+  const input = fs.createReadStream(filePath, { encoding: "utf8" });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let failed = false;
+
+  lines.on("line", (line) => {
+    if (!line.trim()) return;
+    try {
+      onRecord(JSON.parse(line));
+    } catch (error) {
+      // Ignore corrupt lines
+    }
+  });
+  input.on("error", (error) => {
+    failed = true;
+    callback(error);
+  });
+  lines.on("close", () => {
+    if (!failed) callback(null);
+  });
+};
+
+const createJsonlStore = ({ filePath }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return {
+    backend: "jsonl",
+
+    insert: (record, callback) => {
+      fs.appendFile(filePath, JSON.stringify(record) + "\n", (error) => callback(error || null, record));
+    },
+
+    // Records are appended as they complete, so file order is creation order
+    // and only the newest offset + limit matches need to be held in memory
+    list: (query, callback) => {
+      const keep = query.offset + query.limit;
+      let newest = [];
+      let total = 0;
+
+      scan(filePath, (record) => {
+        if (!matches(record, query)) return;
+        total++;
+        newest.push(record);
+        if (newest.length >= 2 * keep) newest = newest.slice(-keep);
+      }, (error) => {
+        if (error) return callback(error);
+        newest = newest.slice(-keep).sort((a, b) => b.createdAt - a.createdAt);
+        callback(null, {
+          total,
+          results: newest.slice(query.offset, query.offset + query.limit),
+        });
+      });
+    },
+
+    get: (id, callback) => {
+      let found = null;
+      scan(filePath, (record) => {
+        if (record.id === id) found = record;
+      }, (error) => callback(error || null, found));
+    },
+
+    close: () => {},
+  };
+};
+
+module.exports = { createJsonlStore };
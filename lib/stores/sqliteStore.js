@@ -0,0 +1,93 @@
+// SQLite result store. better-sqlite3 is synchronous; callbacks are deferred
+// so both backends behave the same way for callers.
+const fs = require("fs");
+const path = require("path");
+
+const createSqliteStore = ({ filePath }) => {
+  const Database = require("better-sqlite3");
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS results (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      created_at REAL NOT NULL,
+      record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS results_created_at ON results (created_at);
+    CREATE INDEX IF NOT EXISTS results_type ON results (type, created_at);
+  `);
+
+  const insertStatement = db.prepare(
+    "INSERT INTO results (id, type, created_at, record) VALUES (@id, @type, @createdAt, @record)"
+  );
+  const getStatement = db.prepare("SELECT record FROM results WHERE id = ?");
+
+  const buildWhere = ({ from, to, type }) => {
+    const clauses = [];
+    const params = {};
+    if (from !== null && from !== undefined) {
+      clauses.push("created_at >= @from");
+      params.from = from;
+    }
+    if (to !== null && to !== undefined) {
+      clauses.push("created_at <= @to");
+      params.to = to;
+    }
+    if (type) {
+      clauses.push("type = @type");
+      params.type = type;
+    }
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "", params };
+  };
+
+  const defer = (callback, fn) => {
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      return process.nextTick(callback, error);
+    }
+    process.nextTick(callback, null, result);
+  };
+
+  return {
+    backend: "sqlite",
+
+    insert: (record, callback) => {
+      defer(callback, () => {
+        insertStatement.run({
+          id: record.id,
+          type: record.type,
+          createdAt: record.createdAt,
+          record: JSON.stringify(record),
+        });
+        return record;
+      });
+    },
+
+    list: (query, callback) => {
+      defer(callback, () => {
+        const { where, params } = buildWhere(query);
+        const total = db.prepare(`SELECT COUNT(*) AS count FROM results ${where}`).get(params).count;
+        const rows = db
+          .prepare(`SELECT record FROM results ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+          .all({ ...params, limit: query.limit, offset: query.offset });
+        return { total, results: rows.map((row) => JSON.parse(row.record)) };
+      });
+    },
+
+    get: (id, callback) => {
+      defer(callback, () => {
+        const row = getStatement.get(id);
+        return row ? JSON.parse(row.record) : null;
+      });
+    },
+
+    close: () => db.close(),
+  };
+};
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,105 @@
+// Streaming test data source. Bodies of any size are served from a small pool
+// of pre-generated blocks, so nothing proportional to the payload is allocated.
+// Content is a pure function of (pattern, offset) for the life of the process,
+// which means any slice of a body can be regenerated on demand. The seeded
+// pattern is reproducible across processes and by clients as well.
+const { Readable } = require("stream");
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { SEEDED_PATTERN, seededBytes } = require("./seededPattern");
+
+const BLOCK_SIZE = 256 * 1024; // 256KB per pooled block
+const POOL_BLOCKS = 16; // 4MB of distinct data per pattern
+const PATTERNS = ["random", "compressible", "incompressible"];
+
+const pools = new Map();
+
+const generateBlock = (pattern, blockIndex) => {
+  switch (pattern) {
+    case "compressible":
+      return Buffer.alloc(BLOCK_SIZE, 0x41);
+    case "incompressible":
+      // A fixed-seed keystream: reproducible, and unlike a short repeating
+      // sequence it gives gzip nothing to work with
+      return Buffer.from(seededBytes("incompressible", blockIndex * BLOCK_SIZE, BLOCK_SIZE));
+    default:
+      return crypto.randomBytes(BLOCK_SIZE);
+  }
+};
+
+const normalizePattern = (pattern) =>
+  PATTERNS.includes(pattern) || pattern === SEEDED_PATTERN ? pattern : "random";
+
+// Pools are built on first use and kept for the life of the process
+const getPool = (pattern) => {
+  const key = normalizePattern(pattern);
+  if (!pools.has(key)) {
+    const blocks = [];
+    for (let i = 0; i < POOL_BLOCKS; i++) {
+      blocks.push(generateBlock(key, i));
+    }
+    pools.set(key, blocks);
+  }
+  return pools.get(key);
+};
+
+// Zero-copy view of the pattern at an absolute offset, never crossing a block boundary
+const readPattern = (pattern, offset, length) => {
+  const pool = getPool(pattern);
+  const block = pool[Math.floor(offset / BLOCK_SIZE) % POOL_BLOCKS];
+  const start = offset % BLOCK_SIZE;
+  return block.subarray(start, Math.min(start + length, BLOCK_SIZE));
+};
+
+// Pattern data at an absolute offset, for any pattern including the seeded one
+const readTestData = (pattern, offset, length, seed) =>
+  pattern === SEEDED_PATTERN ? seededBytes(seed, offset, length) : readPattern(pattern, offset, length);
+
+class TestDataStream extends Readable {
+  constructor(options = {}) {
+    super({ highWaterMark: options.highWaterMark || 4 * BLOCK_SIZE });
+    this.pattern = normalizePattern(options.pattern);
+    this.seed = options.seed || null;
+    this.offset = options.start || 0;
+    this.end = options.size !== null && options.size !== undefined ? this.offset + options.size : null; // exclusive
+    this.duration = options.duration || null; // ms
+    this.chunkSize = options.chunkSize || 64 * 1024;
+    this.startTime = null;
+    this.bytesSent = 0;
+  }
+
+  _read() {
+    if (this.startTime === null) {
+      this.startTime = performance.now();
+    }
+
+    // Push until the consumer signals backpressure
+    for (;;) {
+      const remaining = this.end !== null ? this.end - this.offset : Infinity;
+      const expired = this.duration !== null && performance.now() - this.startTime >= this.duration;
+
+      if (remaining <= 0 || expired) {
+        this.push(null);
+        return;
+      }
+
+      const chunk = readTestData(this.pattern, this.offset, Math.min(this.chunkSize, remaining), this.seed);
+      this.offset += chunk.length;
+      this.bytesSent += chunk.length;
+
+      if (!this.push(chunk)) return;
+    }
+  }
+}
+
+const createTestDataStream = (options) => new TestDataStream(options);
+
+module.exports = {
+  BLOCK_SIZE,
+  POOL_BLOCKS,
+  PATTERNS,
+  normalizePattern,
+  readPattern,
+  readTestData,
+  createTestDataStream,
+};
@@ -0,0 +1,172 @@
+// Test sessions tie latency, download and upload measurements from many
+// requests and connections together into one result record
+const crypto = require("crypto");
+const { round, summarizeLatency } = require("./statistics");
+const { toMbps } = require("./uploadTiming");
+
+const sessions = new Map();
+const finishListeners = [];
+const SESSION_TTL = 60 * 60 * 1000; // Sessions expire after 1 hour
+const MAX_SAMPLES = 10000; // Per latency series, to bound memory
+const MAX_TRANSFERS = 10000; // Per transfer phase; later transfers are counted but not kept
+const TRANSFER_PHASES = ["download", "upload"];
+
+const createSession = ({ now, ip, userAgent, metadata }) => {
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    status: "active",
+    createdAt: now,
+    finishedAt: null,
+    client: {
+      ip: ip || null,
+      userAgent: userAgent || null,
+      metadata: metadata || {},
+    },
+    connections: new Map(),
+    latency: { rtt: [], oneWay: [], serverProcessing: [], sources: {} },
+    transfers: { download: [], upload: [] },
+    droppedTransfers: { download: 0, upload: 0 },
+    report: null,
+  };
+
+  sessions.set(session.id, session);
+  setTimeout(() => sessions.delete(session.id), SESSION_TTL).unref();
+  return session;
+};
+
+const getSession = (id) => (id ? sessions.get(id) || null : null);
+
+const isActive = (session) => session.status === "active";
+
+const attachConnection = (session, connectionId, { phase = null, now } = {}) => {
+  const id = connectionId || String(session.connections.size);
+  if (!session.connections.has(id)) {
+    session.connections.set(id, { id, phase, attachedAt: now || null });
+  }
+  return session.connections.get(id);
+};
+
+const recordLatency = (session, source, { rtt = [], oneWay = [], serverProcessing = [] }) => {
+  if (!isActive(session)) return;
+
+  const push = (series, values) => {
+    values.forEach((value) => {
+      if (typeof value === "number" && isFinite(value) && series.length < MAX_SAMPLES) {
+        series.push(value);
+      }
+    });
+  };
+
+  push(session.latency.rtt, rtt);
+  push(session.latency.oneWay, oneWay);
+  push(session.latency.serverProcessing, serverProcessing);
+  session.latency.sources[source] =
+    (session.latency.sources[source] || 0) + rtt.length + oneWay.length + serverProcessing.length;
+};
+
+const recordTransfer = (session, phase, entry) => {
+  if (!isActive(session) || !TRANSFER_PHASES.includes(phase)) return;
+
+  if (session.transfers[phase].length >= MAX_TRANSFERS) {
+    session.droppedTransfers[phase]++;
+    return;
+  }
+
+  const connectionId = entry.connectionId || "0";
+  attachConnection(session, connectionId, { phase, now: entry.startTime });
+  session.transfers[phase].push({ ...entry, connectionId });
+};
+
+// Earliest start and latest end, without spreading large arrays into Math.min/max
+const transferWindow = (transfers) =>
+  transfers.reduce(
+    (window, t) => ({ start: Math.min(window.start, t.startTime), end: Math.max(window.end, t.endTime) }),
+    { start: Infinity, end: -Infinity }
+  );
+
+// Aggregate throughput over the union of all transfer windows in a phase
+const summarizeTransfers = (transfers, dropped = 0) => {
+  if (transfers.length === 0) {
+    return { transfers: 0, totalBytes: 0, duration: 0, speedMbps: null, perConnection: [], dropped };
+  }
+
+  const totalBytes = transfers.reduce((sum, t) => sum + t.bytes, 0);
+  const { start, end } = transferWindow(transfers);
+
+  const byConnection = new Map();
+  transfers.forEach((t) => {
+    if (!byConnection.has(t.connectionId)) byConnection.set(t.connectionId, []);
+    byConnection.get(t.connectionId).push(t);
+  });
+
+  const perConnection = [];
+  byConnection.forEach((list, connectionId) => {
+    const bytes = list.reduce((sum, t) => sum + t.bytes, 0);
+    const { start: connectionStart, end: connectionEnd } = transferWindow(list);
+    perConnection.push({
+      connectionId,
+      transfers: list.length,
+      bytes,
+      duration: round(connectionEnd - connectionStart),
+      speedMbps: round(toMbps(bytes, connectionEnd - connectionStart)),
+      aborted: list.filter((t) => t.completed === false).length,
+    });
+  });
+
+  return {
+    transfers: transfers.length,
+    connections: perConnection.length,
+    totalBytes,
+    duration: round(end - start),
+    speedMbps: round(toMbps(totalBytes, end - start)),
+    perConnection,
+    dropped,
+  };
+};
+
+const buildReport = (session) => ({
+  sessionId: session.id,
+  status: session.status,
+  createdAt: session.createdAt,
+  finishedAt: session.finishedAt,
+  client: session.client,
+  connections: Array.from(session.connections.values()),
+  latency: {
+    rtt: summarizeLatency(session.latency.rtt),
+    oneWay: summarizeLatency(session.latency.oneWay),
+    serverProcessing: summarizeLatency(session.latency.serverProcessing),
+    sources: session.latency.sources,
+  },
+  download: summarizeTransfers(session.transfers.download, session.droppedTransfers.download),
+  upload: summarizeTransfers(session.transfers.upload, session.droppedTransfers.upload),
+});
+
+// Finishing freezes the session; later measurements carrying its id are rejected
+const finishSession = (session, now) => {
+  if (isActive(session)) {
+    session.status = "finished";
+    session.finishedAt = now;
+    session.report = buildReport(session);
+    finishListeners.forEach((listener) => listener(session.report, session));
+  }
+  return session.report;
+};
+
+// Called with (report, session) whenever any session finishes
+const onSessionFinished = (listener) => {
+  finishListeners.push(listener);
+};
+
+const getReport = (session) => session.report || buildReport(session);
+
+module.exports = {
+  createSession,
+  getSession,
+  isActive,
+  attachConnection,
+  recordLatency,
+  recordTransfer,
+  finishSession,
+  onSessionFinished,
+  getReport,
+};
@@ -0,0 +1,163 @@
+// UDP echo/reflector for packet loss, reordering and one-way jitter tests.
+// TCP retransmissions hide loss, so these measurements need raw datagrams.
+//
+// Packet layout (big-endian):
+//   0-7   session token
+//   8-11  sequence number (uint32)
+//   12-19 client send time in ms (float64)
+//   20-27 server receive time in ms (float64), filled in on echo
+//   28-   padding up to the negotiated packet size
+const dgram = require("dgram");
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { round, rfc3550Jitter, meanConsecutiveDifference } = require("./statistics");
+
+const HEADER_SIZE = 28;
+const MIN_PACKET_SIZE = HEADER_SIZE;
+const MAX_PACKET_SIZE = 1400; // Stay below typical MTU to avoid fragmentation
+const MAX_RATE = 1000; // packets per second
+const MAX_COUNT = 10000;
+const SESSION_TTL = 10 * 60 * 1000; // Sessions expire after 10 minutes
+const DUPLICATE_MARGIN = 0.05; // Share of extra packets echoed beyond the negotiated count
+const MIN_DUPLICATE_MARGIN = 10;
+
+const sessions = new Map();
+const sessionsByToken = new Map();
+let socket = null;
+let boundPort = null;
+
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
+
+const handlePacket = (packet, remote) => {
+  const receiveTime = getHighResolutionTime();
+  if (packet.length < HEADER_SIZE) return;
+
+  // Only reflect packets that belong to a known session
+  const session = sessionsByToken.get(packet.toString("hex", 0, 8));
+  if (!session || packet.length !== session.packetSize) return;
+
+  const seq = packet.readUInt32BE(8);
+  const clientSendTime = packet.readDoubleBE(12);
+  if (seq >= session.count) return;
+
+  if (session.received.has(seq)) {
+    session.duplicates++;
+  } else {
+    session.received.add(seq);
+    if (seq < session.highestSeq) {
+      session.reordered++;
+    }
+    session.highestSeq = Math.max(session.highestSeq, seq);
+    session.transitTimes.push(receiveTime - clientSendTime);
+  }
+
+  if (session.firstArrival === null) session.firstArrival = receiveTime;
+  session.lastArrival = receiveTime;
+  session.packetsReceived++;
+
+  packet.writeDoubleBE(receiveTime, 20);
+  socket.send(packet, remote.port, remote.address);
+
+  // Never a general-purpose reflector: once every packet has arrived, or the
+  // duplicate allowance is used up, the token stops being answered
+  if (session.received.size >= session.count || session.packetsReceived >= session.maxEchoes) {
+    closeSession(session);
+  }
+};
+
+const closeSession = (session) => {
+  session.closed = true;
+  sessionsByToken.delete(session.token);
+};
+
+const start = (port) => {
+  if (socket) return socket;
+
+  socket = dgram.createSocket("udp4");
+  socket.on("message", handlePacket);
+  socket.on("error", (error) => {
+    console.error("UDP echo error:", error);
+  });
+  socket.bind(port, () => {
+    boundPort = socket.address().port;
+  });
+
+  return socket;
+};
+
+const getPort = () => boundPort;
+
+// Negotiate a measurement session, clamping the requested parameters
+const createSession = ({ packetSize, rate, count } = {}) => {
+  const negotiatedCount = Math.min(Math.max(parseInt(count) || 200, 1), MAX_COUNT);
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    token: crypto.randomBytes(8).toString("hex"),
+    packetSize: Math.min(Math.max(parseInt(packetSize) || 64, MIN_PACKET_SIZE), MAX_PACKET_SIZE),
+    rate: Math.min(Math.max(parseInt(rate) || 50, 1), MAX_RATE),
+    count: negotiatedCount,
+    maxEchoes: negotiatedCount + Math.max(MIN_DUPLICATE_MARGIN, Math.ceil(negotiatedCount * DUPLICATE_MARGIN)),
+    closed: false,
+    createdAt: getHighResolutionTime(),
+    received: new Set(),
+    highestSeq: -1,
+    duplicates: 0,
+    reordered: 0,
+    packetsReceived: 0,
+    transitTimes: [],
+    firstArrival: null,
+    lastArrival: null,
+  };
+
+  sessions.set(session.id, session);
+  sessionsByToken.set(session.token, session);
+  setTimeout(() => {
+    sessions.delete(session.id);
+    sessionsByToken.delete(session.token);
+  }, SESSION_TTL).unref();
+
+  return session;
+};
+
+const getSession = (id) => sessions.get(id) || null;
+
+const buildResults = (session) => {
+  const unique = session.received.size;
+  const lost = session.count - unique;
+  const arrivalWindow = session.firstArrival !== null ? session.lastArrival - session.firstArrival : 0;
+
+  return {
+    sessionId: session.id,
+    expected: session.count,
+    received: unique,
+    lost,
+    lossPercent: round((lost / session.count) * 100, 2),
+    duplicates: session.duplicates,
+    closed: session.closed,
+    reordered: session.reordered,
+    reorderPercent: unique > 0 ? round((session.reordered / unique) * 100, 2) : 0,
+    // Transit times include the clock offset, but it cancels out in the differences
+    jitter: {
+      rfc3550: round(rfc3550Jitter(session.transitTimes)),
+      meanConsecutiveDifference: round(meanConsecutiveDifference(session.transitTimes)),
+    },
+    timing: {
+      arrivalWindow: round(arrivalWindow),
+      effectiveRate: arrivalWindow > 0 ? round(((session.packetsReceived - 1) / arrivalWindow) * 1000, 2) : 0,
+      targetRate: session.rate,
+    },
+  };
+};
+
+module.exports = {
+  HEADER_SIZE,
+  MIN_PACKET_SIZE,
+  MAX_PACKET_SIZE,
+  start,
+  getPort,
+  createSession,
+  getSession,
+  buildResults,
+};
@@ -0,0 +1,64 @@
+// Streaming upload sink: counts and hashes bytes as they arrive and discards
+// them, so memory use does not grow with the size of the upload. An optional
+// verifier sees every chunk before it is dropped.
+const { Writable } = require("stream");
+const crypto = require("crypto");
+
+class UploadSink extends Writable {
+  constructor(options = {}) {
+    super({ highWaterMark: options.highWaterMark || 1024 * 1024 });
+    this.hash = crypto.createHash("md5");
+    this.bytes = 0;
+    this.digest = null;
+    this.verifier = options.verifier || null;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    if (this.verifier) this.verifier.update(chunk);
+    this.bytes += chunk.length;
+    callback();
+  }
+
+  _final(callback) {
+    this.digest = this.hash.digest("hex");
+    callback();
+  }
+}
+
+// Pipe a request into a sink, ending early once `duration` ms have passed.
+// Calls back once with { bytes, digest, truncated }.
+const consumeUpload = (req, { duration = null, verifier = null } = {}, callback) => {
+  const sink = new UploadSink({ verifier });
+  let truncated = false;
+  let timer = null;
+  let done = false;
+
+  const finish = (error) => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    callback(error || null, { bytes: sink.bytes, digest: sink.digest, truncated });
+  };
+
+  if (duration) {
+    timer = setTimeout(() => {
+      truncated = true;
+      req.unpipe(sink);
+      sink.end();
+    }, duration);
+  }
+
+  sink.on("finish", () => finish());
+  sink.on("error", finish);
+  req.on("error", finish);
+  req.on("aborted", () => finish(new Error("Upload aborted by client")));
+
+  req.pipe(sink);
+  return sink;
+};
+
+module.exports = {
+  UploadSink,
+  consumeUpload,
+};
@@ -0,0 +1,85 @@
+// Server-side upload timing. The request stream is tapped before any body
+// parser sees it, so first-byte and last-byte arrival are measured here
+// instead of trusting timestamps supplied by the client.
+const { performance } = require("perf_hooks");
+const { round } = require("./statistics");
+
+const SAMPLE_INTERVAL = 100; // ms between intermediate throughput samples
+
+const getHighResolutionTime = () => {
+  return performance.now() + performance.timeOrigin;
+};
+
+// Same Mbps convention as the rest of the server
+const toMbps = (bytes, ms) => (ms > 0 ? (bytes * 8) / ((ms / 1000) * 1024 * 1024) : 0);
+
+// Express middleware: must be registered before the body parsers. The data
+// listener switches the request into flowing mode, so mount it only on upload
+// routes and never put async middleware between it and the body consumer:
+// bytes that arrive while nothing else is listening are lost.
+const trackUploadTiming = (req, res, next) => {
+  if (req.method !== "POST") return next();
+
+  const timing = {
+    requestStart: getHighResolutionTime(),
+    firstByteTime: null,
+    lastByteTime: null,
+    firstChunkBytes: 0,
+    bytes: 0,
+    samples: [],
+    lastSampleTime: null,
+    lastSampleBytes: 0,
+  };
+  req.uploadTiming = timing;
+
+  req.on("data", (chunk) => {
+    const now = getHighResolutionTime();
+
+    if (timing.firstByteTime === null) {
+      timing.firstByteTime = now;
+      timing.firstChunkBytes = chunk.length;
+      timing.lastSampleTime = now;
+    }
+
+    timing.bytes += chunk.length;
+    timing.lastByteTime = now;
+
+    if (now - timing.lastSampleTime >= SAMPLE_INTERVAL) {
+      const intervalBytes = timing.bytes - timing.lastSampleBytes;
+      timing.samples.push({
+        timeSinceFirstByte: round(now - timing.firstByteTime),
+        bytes: timing.bytes,
+        speedMbps: round(toMbps(intervalBytes, now - timing.lastSampleTime)),
+      });
+      timing.lastSampleTime = now;
+      timing.lastSampleBytes = timing.bytes;
+    }
+  });
+
+  next();
+};
+
+// Throughput over the first-byte to last-byte window. The first chunk is
+// excluded from the byte count since its transfer started before the window.
+const summarizeUploadTiming = (timing) => {
+  if (!timing || timing.firstByteTime === null) return null;
+
+  const duration = timing.lastByteTime - timing.firstByteTime;
+  const windowBytes = timing.bytes - timing.firstChunkBytes;
+
+  return {
+    requestStart: timing.requestStart,
+    firstByteTime: timing.firstByteTime,
+    lastByteTime: timing.lastByteTime,
+    duration: round(duration),
+    bytes: timing.bytes,
+    speedMbps: round(toMbps(windowBytes, duration)),
+    samples: timing.samples,
+  };
+};
+
+module.exports = {
+  toMbps,
+  trackUploadTiming,
+  summarizeUploadTiming,
+};